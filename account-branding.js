@@ -0,0 +1,167 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { rgb } = require("pdf-lib");
+const { downloadImage } = require("./report-media");
+
+/**
+ * Account branding
+ * The inspection company's identity on its reports: logo, primary/accent
+ * colors, company name, license numbers, a contact block and a disclaimer.
+ * It comes from options.branding in the request, from BRANDING_DIR as
+ * <accountID>.json, or both (request fields win). Without either, reports
+ * keep their stock look.
+ *
+ * Logos are an http(s) URL, a data: URL or { data: <base64> }; a profile
+ * file may also name an image file next to it ("logo": "acme.png"). Request
+ * bodies can only point at files on this machine with a file: URL under
+ * IMAGE_MEDIA_ROOT. URLs are fetched like photos (report-media.js), with the
+ * same host allowlist and private address blocking.
+ */
+
+const BRANDING_DIR =
+  process.env.BRANDING_DIR || path.join(__dirname, "assets", "branding");
+
+const profileCache = new Map(); // file path -> parsed file | null
+
+function readProfileFile(file) {
+  if (profileCache.has(file)) return profileCache.get(file);
+  let parsed = null;
+  try {
+    if (fs.existsSync(file)) {
+      parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  } catch (err) {
+    console.warn(`Ignoring unreadable branding file ${file}:`, err.message);
+  }
+  profileCache.set(file, parsed);
+  return parsed;
+}
+
+// "#1d4ed8" or "1d4ed8" -> pdf-lib color (null if invalid)
+function parseColor(value) {
+  const hex = /^#?([0-9a-f]{6})$/i.exec(String(value || "").trim());
+  if (!hex) return null;
+  const n = parseInt(hex[1], 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
+}
+
+// Mix a color with white; `amount` 0 keeps it, 1 gives white
+function tint(color, amount) {
+  const mix = (c) => c + (1 - c) * amount;
+  return rgb(mix(color.red), mix(color.green), mix(color.blue));
+}
+
+// Where image bytes come from: { url } or { data } or { file }
+function imageSource(image, fromFile) {
+  if (!image) return null;
+  if (typeof image === "object" && image.data) {
+    return { data: Buffer.from(String(image.data), "base64") };
+  }
+  const value = String(typeof image === "object" ? image.url || "" : image);
+  const dataUrl = /^data:image\/[a-z+.-]+;base64,(.+)$/i.exec(value);
+  if (dataUrl) return { data: Buffer.from(dataUrl[1], "base64") };
+  if (/^(https?:\/\/|file:)/i.test(value)) return { url: value };
+  // Plain names are files beside the profile; requests cannot name files
+  if (fromFile && value && path.basename(value) === value) {
+    return { file: path.join(BRANDING_DIR, value) };
+  }
+  if (value) console.warn(`Ignoring image "${value.slice(0, 60)}"`);
+  return null;
+}
+
+// Contact block as display lines, from a string, a list or an object
+function contactLines(contact) {
+  if (!contact) return [];
+  if (typeof contact === "string") return contact.split(/\r?\n/);
+  if (Array.isArray(contact)) return contact.map(String);
+  const labels = { phone: "Phone", email: "Email", website: "Web" };
+  return ["address", "phone", "email", "website"]
+    .filter((key) => contact[key])
+    .map((key) =>
+      labels[key] ? `${labels[key]}: ${contact[key]}` : String(contact[key])
+    );
+}
+
+/**
+ * Resolve the branding for one report.
+ * @param {Object} options - { branding, accountId }
+ * @param {Object} inspection - used for its accountID
+ * @returns {{ source, companyName, logo, colors: { primary, accent, tags },
+ *   licenses: { company, inspector }, contact: string[], disclaimer }|null}
+ */
+function resolveBranding(options = {}, inspection = {}) {
+  const accountId = options.accountId || inspection?.accountID;
+  let file = null;
+  // Account ids become file names, so only plain ids are looked up
+  if (accountId && /^[A-Za-z0-9_-]+$/.test(String(accountId))) {
+    file = readProfileFile(path.join(BRANDING_DIR, `${accountId}.json`));
+  }
+  const request =
+    options.branding && typeof options.branding === "object"
+      ? options.branding
+      : null;
+  if (!file && !request) return null;
+
+  const merged = { ...file, ...request };
+  const colors = { ...file?.colors, ...request?.colors };
+  const tags = {};
+  for (const [tag, value] of Object.entries(colors.tags || {})) {
+    const color = parseColor(value);
+    if (color) tags[tag.trim().toUpperCase()] = color;
+  }
+  return {
+    source: [file && `${accountId}.json`, request && "request"]
+      .filter(Boolean)
+      .join(" + "),
+    companyName: merged.companyName || null,
+    logo: request?.logo
+      ? imageSource(request.logo, false)
+      : imageSource(file?.logo, true),
+    colors: {
+      primary: parseColor(colors.primary),
+      accent: parseColor(colors.accent),
+      tags,
+    },
+    licenses: { ...file?.licenses, ...request?.licenses },
+    contact: contactLines(merged.contact),
+    disclaimer: merged.disclaimer || null,
+  };
+}
+
+/**
+ * Embed an image from imageSource into pdfDoc, keeping PNG transparency.
+ * @returns {Promise<PDFImage|null>} null when there is no usable image
+ */
+async function embedImageSource(pdfDoc, source, what = "Image") {
+  if (!source) return null;
+  try {
+    let bytes = source.data || null;
+    if (source.url) bytes = await downloadImage(source.url);
+    if (source.file) bytes = fs.readFileSync(source.file);
+    if (!bytes) return null;
+    const isPng = bytes.slice(0, 4).toString("hex") === "89504e47";
+    const isJpg = bytes.slice(0, 2).toString("hex") === "ffd8";
+    if (isPng) return await pdfDoc.embedPng(bytes);
+    if (isJpg) return await pdfDoc.embedJpg(bytes);
+    // Other formats (WebP, SVG, ...) go through sharp
+    return await pdfDoc.embedPng(await sharp(bytes).png().toBuffer());
+  } catch (err) {
+    console.warn(`${what} could not be embedded:`, err.message);
+    return null;
+  }
+}
+
+function embedBrandingLogo(pdfDoc, branding) {
+  return embedImageSource(pdfDoc, branding?.logo, "Branding logo");
+}
+
+module.exports = {
+  BRANDING_DIR,
+  parseColor,
+  tint,
+  resolveBranding,
+  imageSource,
+  embedImageSource,
+  embedBrandingLogo,
+};
@@ -1,4 +1,6 @@
-const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
+const { PDFDocument, rgb } = require("pdf-lib");
+const { embedReportFonts, safeText } = require("./report-fonts");
+const { addOutline, readOutline } = require("./report-outline");
 const fs = require("fs");
 const path = require("path");
 
@@ -18,16 +20,17 @@ async function createNavigableTableOfContents(sections, options = {}) {
   } = options;
 
   const pdfDoc = await PDFDocument.create();
-  const timesRomanFont = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-  const timesRomanBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+  const { regular: timesRomanFont, bold: timesRomanBold } =
+    await embedReportFonts(pdfDoc, { fontFamily: options.fontFamily });
 
   let page = pdfDoc.addPage();
   let { width, height } = page.getSize();
   let currentY = height - margin;
 
   // Draw title
-  const titleWidth = timesRomanBold.widthOfTextAtSize(title, titleFontSize);
-  page.drawText(title, {
+  const titleText = safeText(timesRomanBold, title);
+  const titleWidth = timesRomanBold.widthOfTextAtSize(titleText, titleFontSize);
+  page.drawText(titleText, {
     x: (width - titleWidth) / 2,
     y: currentY,
     size: titleFontSize,
@@ -62,7 +65,10 @@ async function createNavigableTableOfContents(sections, options = {}) {
     }
 
     const sectionNumber = section.sectionNumber || (i + 1).toString();
-    const sectionText = `${sectionNumber}. ${section.name}`;
+    const sectionText = safeText(
+      timesRomanBold,
+      `${sectionNumber}. ${section.name}`
+    );
     const pageNumber = startPage + i;
 
     // Store metadata
@@ -118,7 +124,7 @@ async function createNavigableTableOfContents(sections, options = {}) {
         }
 
         const lineItemText = `   • ${lineItem.name || lineItem.title}`;
-        page.drawText(lineItemText, {
+        page.drawText(safeText(timesRomanFont, lineItemText), {
           x: margin + 20,
           y: currentY,
           size: fontSize - 2,
@@ -178,6 +184,32 @@ async function combineWithNavigation(tocBytes, mainPdfBytes, sectionMetadata) {
   );
   mainPages.forEach((page) => combinedDoc.addPage(page));
 
+  // Bookmarks: keep the main PDF's own outline (exact positions) when it has
+  // one, otherwise fall back to one entry per section from the TOC metadata
+  const toCombined = (entries) =>
+    entries
+      .filter((e) => e.pageIndex >= 0)
+      .map((e) => ({
+        ...e,
+        page: mainPages[e.pageIndex],
+        children: toCombined(e.children),
+      }));
+  let sectionEntries = toCombined(readOutline(mainDoc));
+  if (sectionEntries.length === 0) {
+    const lastIndex = combinedDoc.getPageCount() - 1;
+    sectionEntries = (sectionMetadata || []).map((meta) => ({
+      title: `${meta.sectionNumber}. ${meta.name}`,
+      page: combinedDoc.getPage(
+        Math.min(Math.max(meta.pageNumber - 1, 0), lastIndex)
+      ),
+      y: null,
+    }));
+  }
+  addOutline(combinedDoc, [
+    { title: "Table of Contents", page: tocPages[0], y: null },
+    ...sectionEntries,
+  ]);
+
   // Set document metadata
   combinedDoc.setTitle("Property Inspection Report");
   combinedDoc.setSubject("Complete inspection report with table of contents");
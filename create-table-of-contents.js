@@ -1,11 +1,29 @@
-const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
+const { PDFDocument, rgb } = require("pdf-lib");
+const { embedReportFonts, safeText } = require("./report-fonts");
+const {
+  createLayout,
+  addPage,
+  ensureSpace,
+  drawWrapped,
+  addLink,
+} = require("./report-layout");
 const fs = require("fs");
 const path = require("path");
+const { isDraftReport, stampDraftWatermark } = require("./report-finalize");
+const { resolveSecurity, protectPdf } = require("./report-security");
+const {
+  createWarnings,
+  finishWarnings,
+  setWarningHeaders,
+} = require("./report-warnings");
+
+// Room kept right of a report TOC entry for its page number
+const TOC_PAGE_COLUMN = 40;
 
 /**
  * Creates a Table of Contents PDF with navigation links
  * @param {Array} sections - Array of section objects from inspection.json
- * @param {Object} options - Configuration options (sectionPageMap for actual page numbers)
+ * @param {Object} options - Configuration options (sectionPageMap for actual page numbers, draft for the DRAFT watermark, warnings from createWarnings)
  * @returns {Promise<Uint8Array>} - PDF bytes
  */
 async function createTableOfContents(sections, options = {}) {
@@ -16,13 +34,13 @@ async function createTableOfContents(sections, options = {}) {
     lineHeight = 20,
     margin = 50,
     includeLineItems = false,
-    sectionPageMap = {}, // Map of section numbers to actual page numbers
+    sectionPageMap = {}, // Map of section numbers to actual page numbers (omitted when unknown)
   } = options;
 
   // Create a new PDF document
   const pdfDoc = await PDFDocument.create();
-  const timesRomanFont = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-  const timesRomanBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+  const { regular: timesRomanFont, bold: timesRomanBold } =
+    await embedReportFonts(pdfDoc, { fontFamily: options.fontFamily });
 
   // Add first page
   let page = pdfDoc.addPage();
@@ -30,8 +48,9 @@ async function createTableOfContents(sections, options = {}) {
   let currentY = height - margin;
 
   // Draw title
-  const titleWidth = timesRomanBold.widthOfTextAtSize(title, titleFontSize);
-  page.drawText(title, {
+  const titleText = safeText(timesRomanBold, title);
+  const titleWidth = timesRomanBold.widthOfTextAtSize(titleText, titleFontSize);
+  page.drawText(titleText, {
     x: (width - titleWidth) / 2,
     y: currentY,
     size: titleFontSize,
@@ -67,10 +86,14 @@ async function createTableOfContents(sections, options = {}) {
 
     // Section number and name
     const sectionNumber = section.sectionNumber || (i + 1).toString();
-    const sectionText = `${sectionNumber}. ${section.name}`;
+    const sectionText = safeText(
+      timesRomanBold,
+      `${sectionNumber}. ${section.name}`
+    );
 
-    // Use actual page number from map if available, otherwise estimate
-    const pageNumber = sectionPageMap[sectionNumber] || i + 3; // +3 for cover + TOC + first section
+    // A standalone TOC cannot know where sections land; only print page
+    // numbers the caller measured (createPdf's includeTOC uses real ones)
+    const pageNumber = sectionPageMap[sectionNumber];
 
     // Draw section name (clickable)
     const sectionTextWidth = timesRomanBold.widthOfTextAtSize(
@@ -86,25 +109,27 @@ async function createTableOfContents(sections, options = {}) {
       color: rgb(0, 0.2, 0.8),
     });
 
-    // Draw dotted line
-    const dotsStartX = margin + sectionTextWidth + 10;
-    const pageNumText = pageNumber.toString();
-    const pageNumWidth = timesRomanFont.widthOfTextAtSize(
-      pageNumText,
-      fontSize
-    );
-    const dotsEndX = width - margin - pageNumWidth - 10;
-
-    drawDottedLine(page, dotsStartX, currentY + 3, dotsEndX, currentY + 3);
-
-    // Draw page number
-    page.drawText(pageNumText, {
-      x: width - margin - pageNumWidth,
-      y: currentY,
-      size: fontSize,
-      font: timesRomanFont,
-      color: rgb(0, 0, 0),
-    });
+    if (pageNumber) {
+      // Draw dotted line
+      const dotsStartX = margin + sectionTextWidth + 10;
+      const pageNumText = pageNumber.toString();
+      const pageNumWidth = timesRomanFont.widthOfTextAtSize(
+        pageNumText,
+        fontSize
+      );
+      const dotsEndX = width - margin - pageNumWidth - 10;
+
+      drawDottedLine(page, dotsStartX, currentY + 3, dotsEndX, currentY + 3);
+
+      // Draw page number
+      page.drawText(pageNumText, {
+        x: width - margin - pageNumWidth,
+        y: currentY,
+        size: fontSize,
+        font: timesRomanFont,
+        color: rgb(0, 0, 0),
+      });
+    }
 
     currentY -= lineHeight;
 
@@ -118,7 +143,7 @@ async function createTableOfContents(sections, options = {}) {
         }
 
         const lineItemText = `   • ${lineItem.name}`;
-        page.drawText(lineItemText, {
+        page.drawText(safeText(timesRomanFont, lineItemText), {
           x: margin + 20,
           y: currentY,
           size: fontSize - 2,
@@ -132,6 +157,9 @@ async function createTableOfContents(sections, options = {}) {
     }
   }
 
+  if (options.draft) await stampDraftWatermark(pdfDoc, options);
+  if (options.warnings) finishWarnings(options.warnings, pdfDoc, options);
+
   // Save and return PDF bytes
   const pdfBytes = await pdfDoc.save();
   return pdfBytes;
@@ -154,6 +182,134 @@ function drawDottedLine(page, x1, y, x2, y2) {
   }
 }
 
+/**
+ * TOC entries for a rendered report: one per section (numbered the way the
+ * profile labels them, e.g. Roman numerals for "trec") and, optionally, one
+ * per line item.
+ * @param {Object} profile - layout profile used for the report body
+ * @param {Array} anchors - layout.anchors from the report body
+ * @returns {Array<{ title, level, page, y }>}
+ */
+function tocEntriesFromAnchors(profile, anchors, options = {}) {
+  const entries = [];
+  for (const anchor of anchors) {
+    if (anchor.kind === "section") {
+      entries.push({
+        title: profile.sectionLabel(anchor.section, anchor.index),
+        level: 0,
+        page: anchor.page,
+        y: anchor.y,
+      });
+    } else if (anchor.kind === "lineItem" && options.includeLineItems) {
+      entries.push({
+        title: profile.lineItemLabel(anchor.lineItem, anchor.index),
+        level: 1,
+        page: anchor.page,
+        y: anchor.y,
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Render a TOC into a layout-core report at options.insertAt. Entries point
+ * at pages that already exist; their numbers are drawn by
+ * finishReportTableOfContents once no more pages will be inserted.
+ * @param {PDFDocument} pdfDoc
+ * @param {Array} entries - from tocEntriesFromAnchors (plus any extras)
+ * @param {Object} options - { profile, headerText, fontFamily, insertAt, title,
+ *   warnings }
+ * @returns {Promise<{ layout, links }>} pass to finishReportTableOfContents
+ */
+async function renderReportTableOfContents(pdfDoc, entries, options = {}) {
+  const layout = await createLayout(pdfDoc, options);
+  const { profile, fonts } = layout;
+  const { size, lineHeight } = profile.text;
+  const links = [];
+
+  addPage(layout);
+  const { width } = layout.page.getSize();
+  const left = profile.margin + 10;
+  const right = width - profile.margin - 10;
+
+  const title = safeText(fonts.bold, options.title || "Table of Contents");
+  layout.page.drawText(title, {
+    x: (width - fonts.bold.widthOfTextAtSize(title, 14)) / 2,
+    y: layout.y,
+    size: 14,
+    font: fonts.bold,
+    color: rgb(0, 0, 0),
+  });
+  layout.y -= 28;
+
+  for (const entry of entries) {
+    const indent = entry.level > 0 ? 15 : 0;
+    const font = entry.level > 0 ? fonts.regular : fonts.bold;
+    const entrySize = entry.level > 0 ? size - 1 : size;
+    // Keep a section entry together with what follows it
+    ensureSpace(layout, lineHeight * (entry.level > 0 ? 1 : 2));
+    const page = layout.page;
+    const top = layout.y;
+    drawWrapped(layout, entry.title, {
+      x: left + indent,
+      width: right - left - indent - TOC_PAGE_COLUMN,
+      size: entrySize,
+      font,
+    });
+    const oneLine = layout.page === page && layout.y === top - lineHeight;
+    links.push({
+      page,
+      top,
+      bottom: layout.page === page ? layout.y + lineHeight - 3 : top - 3,
+      left: left + indent,
+      right,
+      // Dot leaders only when the title fits on one line
+      textEnd: oneLine
+        ? left +
+          indent +
+          font.widthOfTextAtSize(safeText(font, entry.title), entrySize)
+        : null,
+      size: entrySize,
+      target: entry,
+    });
+    layout.y -= entry.level > 0 ? 2 : 6;
+  }
+
+  return { layout, links };
+}
+
+// Draw the final page number beside each entry with dot leaders, and link
+// the entry to where it starts
+function finishReportTableOfContents(toc) {
+  const { layout, links } = toc;
+  const font = layout.fonts.regular;
+  const allPages = layout.doc.getPages();
+  for (const link of links) {
+    const text = String(allPages.indexOf(link.target.page) + 1);
+    const textWidth = font.widthOfTextAtSize(text, link.size);
+    if (link.textEnd !== null) {
+      // One dashed stroke per leader; a circle per dot bloats long TOCs
+      link.page.drawLine({
+        start: { x: link.textEnd + 8, y: link.top + 2 },
+        end: { x: link.right - textWidth - 8, y: link.top + 2 },
+        thickness: 1,
+        color: rgb(0.5, 0.5, 0.5),
+        dashArray: [1, 4],
+      });
+    }
+    link.page.drawText(text, {
+      x: link.right - textWidth,
+      y: link.top,
+      size: link.size,
+      font,
+      color: rgb(0, 0, 0),
+    });
+    const rect = [link.left, link.bottom, link.right, link.top + link.size];
+    addLink(link.page, rect, { page: link.target.page, y: link.target.y });
+  }
+}
+
 /**
  * Generate Table of Contents from inspection JSON file
  * @param {string} jsonFilePath - Path to inspection.json
@@ -208,7 +364,16 @@ async function generateTableOfContentsHandler(req, res) {
       });
     }
 
-    const pdfBytes = await createTableOfContents(sections, options);
+    const security = resolveSecurity(options, req.body.inspection);
+    const warnings = createWarnings();
+    const pdfBytes = await protectPdf(
+      await createTableOfContents(sections, {
+        ...options,
+        draft: isDraftReport(req.body.inspection, options),
+        warnings,
+      }),
+      security
+    );
 
     // Send PDF as response
     res.setHeader("Content-Type", "application/pdf");
@@ -216,13 +381,15 @@ async function generateTableOfContentsHandler(req, res) {
       "Content-Disposition",
       "attachment; filename=table-of-contents.pdf"
     );
+    setWarningHeaders(res, warnings.list);
     res.send(Buffer.from(pdfBytes));
   } catch (error) {
     console.error("Error generating Table of Contents:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       ok: false,
       error: "Failed to generate Table of Contents",
       details: error.message,
+      warnings: error.warnings,
     });
   }
 }
@@ -252,6 +419,9 @@ if (require.main === module) {
 
 module.exports = {
   createTableOfContents,
+  tocEntriesFromAnchors,
+  renderReportTableOfContents,
+  finishReportTableOfContents,
   generateTableOfContentsFromFile,
   generateTableOfContentsHandler,
 };
@@ -0,0 +1,216 @@
+const { rgb } = require("pdf-lib");
+const { safeText } = require("./report-fonts");
+const {
+  createLayout,
+  addPage,
+  ensureSpace,
+  drawWrapped,
+  addLink,
+  isCommentShown,
+} = require("./report-layout");
+
+/**
+ * Summary of Deficiencies
+ * Lists every deficient line item (isDeficient or inspectionStatus "D") and
+ * every defect/deficiency/warning comment, grouped by section, each linking to
+ * where it appears in the report.
+ * The summary is rendered after the report body (so link targets are known)
+ * and inserted in front of it; page numbers are drawn by
+ * finishDeficiencySummary once no more pages will be inserted.
+ */
+
+const DEFECT_COMMENT_TYPES = ["defect", "deficiency", "warning"];
+const LINK_BLUE = rgb(0, 0.2, 0.8);
+const PAGE_COLUMN = 50;
+
+function isDeficientLineItem(lineItem) {
+  return lineItem?.isDeficient === true || lineItem?.inspectionStatus === "D";
+}
+
+// Unselected boolean comments are not in the report, so never count
+function isDefectComment(comment) {
+  return (
+    DEFECT_COMMENT_TYPES.includes(String(comment?.type || "").toLowerCase()) &&
+    isCommentShown(comment)
+  );
+}
+
+/**
+ * Group deficiencies by section, in report order.
+ * @param {Array} sections - sections in the order they were rendered
+ * @param {Array} anchors - layout.anchors from the report body
+ * @returns {Array<{ section, sectionIndex, entries: Array<{ lineItem,
+ *   lineItemIndex, comment, anchor }> }>}
+ */
+function collectDeficiencies(sections, anchors = []) {
+  const anchorFor = new Map();
+  for (const anchor of anchors) {
+    const key = anchor.kind === "comment" ? anchor.comment : anchor.lineItem;
+    if (anchor.kind !== "section" && !anchorFor.has(key)) {
+      anchorFor.set(key, anchor);
+    }
+  }
+
+  const groups = [];
+  sections.forEach((section, sectionIndex) => {
+    const entries = [];
+    (section.lineItems || []).forEach((lineItem, lineItemIndex) => {
+      const lineItemAnchor = anchorFor.get(lineItem) || null;
+      if (isDeficientLineItem(lineItem)) {
+        entries.push({
+          lineItem,
+          lineItemIndex,
+          comment: null,
+          anchor: lineItemAnchor,
+        });
+      }
+      for (const comment of lineItem.comments || []) {
+        if (!isDefectComment(comment)) continue;
+        entries.push({
+          lineItem,
+          lineItemIndex,
+          comment,
+          // Comments a profile skipped link to their line item instead
+          anchor: anchorFor.get(comment) || lineItemAnchor,
+        });
+      }
+    });
+    if (entries.length > 0) groups.push({ section, sectionIndex, entries });
+  });
+  return groups;
+}
+
+function entryLabel(profile, entry) {
+  const lineItemLabel = profile.lineItemLabel(
+    entry.lineItem,
+    entry.lineItemIndex
+  );
+  if (!entry.comment) return `${lineItemLabel} (Deficient)`;
+  return [entry.comment.commentNumber, entry.comment.label || lineItemLabel]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Render the summary pages at options.insertAt.
+ * @param {PDFDocument} pdfDoc
+ * @param {Array} sections - sections in the order they were rendered
+ * @param {Array} anchors - layout.anchors from the report body
+ * @param {Object} options - { profile, headerText, fontFamily, insertAt,
+ *   warnings }
+ * @returns {Promise<{ layout, links, count }>} pass to finishDeficiencySummary
+ */
+async function renderDeficiencySummary(pdfDoc, sections, anchors, options) {
+  const layout = await createLayout(pdfDoc, options);
+  const { profile, fonts } = layout;
+  const { size, lineHeight } = profile.text;
+  const groups = collectDeficiencies(sections, anchors);
+  const links = [];
+
+  addPage(layout);
+  const { width } = layout.page.getSize();
+  const left = profile.margin + 10;
+  const right = width - profile.margin - 10;
+
+  const title = "Summary of Deficiencies";
+  layout.page.drawText(title, {
+    x: (width - fonts.bold.widthOfTextAtSize(title, 14)) / 2,
+    y: layout.y,
+    size: 14,
+    font: fonts.bold,
+    color: rgb(0, 0, 0),
+  });
+  layout.y -= 28;
+
+  if (groups.length === 0) {
+    drawWrapped(layout, "No deficiencies were reported.", {
+      x: left,
+      width: right - left,
+    });
+  }
+
+  for (const group of groups) {
+    // Section heading plus its first entry
+    ensureSpace(layout, lineHeight * 3);
+    drawWrapped(
+      layout,
+      profile.sectionLabel(group.section, group.sectionIndex),
+      {
+        x: left,
+        width: right - left,
+        size: size + 1,
+        font: fonts.bold,
+      }
+    );
+    layout.y -= 4;
+
+    for (const entry of group.entries) {
+      ensureSpace(layout, lineHeight * 2);
+      const page = layout.page;
+      const top = layout.y;
+      drawWrapped(layout, entryLabel(profile, entry), {
+        x: left + 10,
+        width: right - left - 10 - PAGE_COLUMN,
+      });
+      if (entry.comment?.location) {
+        drawWrapped(layout, `Location: ${entry.comment.location}`, {
+          x: left + 20,
+          width: right - left - 20 - PAGE_COLUMN,
+          size: size - 1,
+          color: rgb(0.35, 0.35, 0.35),
+        });
+      }
+      if (entry.anchor) {
+        links.push({
+          page,
+          top,
+          // The whole entry when it stayed on one page, else its first line
+          bottom: layout.page === page ? layout.y + lineHeight - 3 : top - 3,
+          left: left + 10,
+          right,
+          target: entry.anchor,
+        });
+      }
+      layout.y -= 4;
+    }
+    layout.y -= 8;
+  }
+
+  const count = groups.reduce((n, g) => n + g.entries.length, 0);
+  return { layout, links, count };
+}
+
+// Draw "Page N" beside each entry and make the entry clickable. Call after
+// every page has been inserted so the numbers are final.
+function finishDeficiencySummary(summary) {
+  const { layout, links } = summary;
+  const font = layout.fonts.regular;
+  const { size } = layout.profile.text;
+  const allPages = layout.doc.getPages();
+  for (const link of links) {
+    const text = safeText(
+      font,
+      `Page ${allPages.indexOf(link.target.page) + 1}`
+    );
+    link.page.drawText(text, {
+      x: link.right - font.widthOfTextAtSize(text, size),
+      y: link.top,
+      size,
+      font,
+      color: LINK_BLUE,
+    });
+    addLink(link.page, [link.left, link.bottom, link.right, link.top + size], {
+      page: link.target.page,
+      y: link.target.y,
+    });
+  }
+}
+
+module.exports = {
+  DEFECT_COMMENT_TYPES,
+  isDeficientLineItem,
+  isDefectComment,
+  collectDeficiencies,
+  renderDeficiencySummary,
+  finishDeficiencySummary,
+};
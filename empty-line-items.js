@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const { PDFName, PDFString } = require("pdf-lib");
+
+/**
+ * Empty line item policy
+ * What to print for a line item the inspector left without comments. The
+ * report never makes up statements for them; the choices are:
+ * - "omit": leave the line item out
+ * - "checkboxes": print the line item (status checkboxes for TREC) only
+ * - "boilerplate": the account's own text from a template file, keyed by the
+ *   line item's templateId or name; items without an entry fall back to
+ *   "checkboxes"
+ * Boilerplate files live in BOILERPLATE_DIR as <accountID>.json, with
+ * default.json used for accounts without one.
+ */
+
+const EMPTY_ITEM_POLICIES = ["omit", "checkboxes", "boilerplate"];
+const BOILERPLATE_DIR =
+  process.env.BOILERPLATE_DIR || path.join(__dirname, "assets", "boilerplate");
+
+const boilerplateCache = new Map(); // file path -> parsed file | null
+
+function readBoilerplateFile(file) {
+  if (boilerplateCache.has(file)) return boilerplateCache.get(file);
+  let parsed = null;
+  try {
+    if (fs.existsSync(file)) {
+      parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  } catch (err) {
+    console.warn(`Ignoring unreadable boilerplate file ${file}:`, err.message);
+  }
+  boilerplateCache.set(file, parsed);
+  return parsed;
+}
+
+/**
+ * Load the boilerplate for an account.
+ * @returns {{ source: string, lineItems: Map<string, Array> }|null}
+ */
+function loadBoilerplate(accountId) {
+  const candidates = [];
+  // Account ids become file names, so only plain ids are looked up
+  if (accountId && /^[A-Za-z0-9_-]+$/.test(String(accountId))) {
+    candidates.push(`${accountId}.json`);
+  }
+  candidates.push("default.json");
+  for (const name of candidates) {
+    const parsed = readBoilerplateFile(path.join(BOILERPLATE_DIR, name));
+    if (!parsed) continue;
+    const lineItems = new Map();
+    for (const [key, comments] of Object.entries(parsed.lineItems || {})) {
+      if (Array.isArray(comments)) {
+        lineItems.set(key.trim().toLowerCase(), comments);
+      }
+    }
+    return { source: name, lineItems };
+  }
+  return null;
+}
+
+/**
+ * Resolve the policy for one report from the request options, falling back
+ * to the layout profile's default.
+ * @param {Object} options - { emptyItemPolicy, accountId }
+ * @param {Object} inspection - used for its accountID
+ * @param {string} profileDefault - the profile's emptyItemPolicy
+ * @returns {{ policy, boilerplate, description }}
+ */
+function resolveEmptyItemPolicy(options = {}, inspection = {}, profileDefault) {
+  const policy = options.emptyItemPolicy || profileDefault;
+  if (!EMPTY_ITEM_POLICIES.includes(policy)) {
+    throw new Error(
+      `Unknown emptyItemPolicy "${policy}". Use one of: ${EMPTY_ITEM_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  if (policy !== "boilerplate") {
+    return { policy, boilerplate: null, description: policy };
+  }
+  const boilerplate = loadBoilerplate(
+    options.accountId || inspection?.accountID
+  );
+  if (!boilerplate) {
+    console.warn(
+      `No boilerplate file in ${BOILERPLATE_DIR}; empty line items show checkboxes only`
+    );
+  }
+  return {
+    policy,
+    boilerplate,
+    description: boilerplate
+      ? `boilerplate (${boilerplate.source})`
+      : "boilerplate (no file, checkboxes only)",
+  };
+}
+
+// Boilerplate comments for a line item: templateId first, then its name
+function boilerplateComments(boilerplate, lineItem) {
+  if (!boilerplate) return [];
+  for (const key of [lineItem.templateId, lineItem.name, lineItem.title]) {
+    const comments =
+      key && boilerplate.lineItems.get(String(key).trim().toLowerCase());
+    if (comments) return comments;
+  }
+  return [];
+}
+
+// Record the policy in the document info so readers can tell which rule
+// produced the empty items
+function recordEmptyItemPolicy(pdfDoc, emptyItems) {
+  pdfDoc
+    .getInfoDict()
+    .set(PDFName.of("EmptyItemPolicy"), PDFString.of(emptyItems.description));
+}
+
+module.exports = {
+  EMPTY_ITEM_POLICIES,
+  loadBoilerplate,
+  resolveEmptyItemPolicy,
+  boilerplateComments,
+  recordEmptyItemPolicy,
+};
@@ -0,0 +1,286 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * State inspection form templates
+ * Everything jurisdiction-specific about the "trec"-style report lives in a
+ * declarative definition: the header page (logo, title, field labels and
+ * the text sections), the status checkboxes with their legend, and the
+ * footer lines. A request picks one with options.formTemplate; "trec"
+ * (Texas REI 7-6) is built in, and more can be registered in code or
+ * dropped into FORM_TEMPLATE_DIR as <id>.json.
+ *
+ * Status codes map the app's inspectionStatus values (I, NI, NP, D) to what
+ * the form prints, so a form can say "R=Repair" for "D" or leave out a
+ * column without the inspection data changing.
+ */
+
+const INSPECTION_STATUSES = ["I", "NI", "NP", "D"];
+const DEFAULT_FORM_TEMPLATE = "trec";
+const FORM_TEMPLATE_DIR =
+  process.env.FORM_TEMPLATE_DIR ||
+  path.join(__dirname, "assets", "form-templates");
+
+// Header info box labels for templates that do not name their own
+const DEFAULT_FIELDS = {
+  client: "Name of Client",
+  address: "Address of Inspected Property",
+  inspector: "Name of Inspector",
+  sponsor: "Name of Sponsor (if applicable)",
+  date: "Date of Inspection",
+  inspectorLicense: "License #",
+  sponsorLicense: "License #",
+};
+
+const TREC_TEMPLATE = {
+  id: "trec",
+  name: "Texas Real Estate Commission - Property Inspection Report (REI 7-6)",
+  header: {
+    logoPath: "./assets/image.png",
+    // Drawn in a box when the logo file is missing
+    logoPlaceholder: {
+      text: "TREC",
+      caption: ["TEXAS REAL ESTATE", "COMMISSION"],
+    },
+    title: "PROPERTY INSPECTION REPORT FORM",
+    fields: {
+      inspectorLicense: "TREC License #",
+      sponsorLicense: "TREC License #",
+    },
+    // Printed in front of the inspector's license number
+    licensePrefix: "TREC license # ",
+    sections: [
+      {
+        heading: "PURPOSE OF INSPECTION",
+        lines: [
+          "A real estate inspection is a visual survey of a structure and a basic performance evaluation of the systems and components of a",
+          "building. It provides information regarding the general condition of a residence at the time the inspection was conducted.",
+          "It is important that you carefully read ALL of this information. Ask the inspector to clarify any items or comments that are unclear.",
+        ],
+      },
+      {
+        heading: "RESPONSIBILITY OF THE INSPECTOR",
+        lines: [
+          "This inspection is governed by the Texas Real Estate Commission (TREC) Standards of Practice (SOPs), which dictates the",
+          "minimum requirements for a real estate inspection.",
+          "",
+          "The inspector IS required to:",
+          "•    use this Property Inspection Report form for the inspection;",
+          "•    inspect only those components and conditions that are present, visible, and accessible at the time of the inspection;",
+          "•    indicate whether each item was inspected, not inspected, or not present;",
+          "•    indicate an item as Deficient (D) if a condition exists that adversely and materially affects the performance of a system or",
+          "     component OR constitutes a hazard to life, limb or property as specified by the SOPs; and",
+          "•    explain the inspector's findings in the corresponding section in the body of the report form.",
+          "",
+          "The inspector IS NOT required to:",
+          "•    identify all potential hazards;",
+          "•    turn on decommissioned equipment, systems, utilities, or apply an open flame or light a pilot to operate any appliance;",
+          "•    climb over obstacles, move furnishings or stored items;",
+          "•    prioritize or emphasize the importance of one deficiency over another;",
+          "•    provide follow-up services to verify that proper repairs have been made; or",
+          "•    inspect system or component listed under the optional section of the SOPs (22 TAC 535.233).",
+        ],
+      },
+      {
+        heading: "RESPONSIBILITY OF THE CLIENT",
+        lines: [
+          "While items identified as Deficient (D) in an inspection report DO NOT obligate any party to make repairs or take other actions, in",
+          "the event that any further evaluations are needed, it is the responsibility of the client to obtain further evaluations and/or cost",
+          "estimates from qualified service professionals regarding any items reported as Deficient (D). It is recommended that any further",
+          "evaluations and/or cost estimates take place prior to the expiration of any contractual time limitations, such as option periods.",
+          "",
+          "Please Note: Evaluations performed by service professionals in response to items reported as Deficient (D) on the report may lead",
+          "to the discovery of additional deficiencies that were not present, visible, or accessible at the time of the inspection. Any repairs",
+          "made after the date of the inspection may render information contained in this report obsolete or invalid.",
+        ],
+      },
+      {
+        heading: "REPORT LIMITATIONS",
+        lines: [
+          "This report is provided for the benefit of the named client and is based on observations made by the named inspector on the date the",
+          "inspection was performed (indicated above).",
+          "",
+          "ONLY those items specifically noted as being inspected on the report were inspected.",
+          "",
+          "This inspection IS NOT:",
+          "•    a technically exhaustive inspection of the structure, its systems, or its components and may not reveal all deficiencies;",
+          "•    an inspection to verify compliance with any building codes;",
+          "•    an inspection to verify compliance with manufacturer's installation instructions for any system or component and DOES NOT",
+          "     imply insurability or warrantability of the structure or its components.",
+        ],
+      },
+      {
+        heading:
+          "NOTICE CONCERNING HAZARDOUS CONDITIONS, DEFICIENCIES, AND CONTRACTUAL AGREEMENTS",
+        // Italic text closed by a double rule
+        notice: true,
+        lines: [
+          "Conditions may be present in your home that did not violate building codes or common practices in effect when the home",
+          "was constructed but are considered hazardous by today's standards. Such conditions that were part of the home prior to the",
+          "adoption of any current codes prohibiting them may not be required to be updated to meet current code requirements.",
+          "However, if it can be reasonably determined that they are present at the time of the inspection, the potential for injury or",
+          "property loss from these conditions is significant enough to require inspectors to report them as Deficient (D). Examples of",
+          "such hazardous conditions include:",
+          "",
+          "•    malfunctioning, improperly installed, or missing ground fault circuit protection (GFCI) devices and arc-fault (AFCI) devices;",
+          "•    ordinary glass in locations where modern construction techniques call for safety glass;",
+          "•    malfunctioning or lack of fire safety features such as smoke alarms, fire-rated doors in certain locations, and functional",
+          "     emergency escape and rescue openings in bedrooms;",
+          "•    malfunctioning carbon monoxide alarms;",
+          "•    excessive spacing between balusters on stairways and porches;",
+          "•    improperly installed appliances;",
+          "•    improperly installed or defective safety devices;",
+          "•    lack of electrical bonding and grounding; and",
+          "•    lack of bonding on gas piping, including corrugated stainless steel tubing (CSST).",
+          "",
+          "Please Note: items identified as Deficient (D) in an inspection report DO NOT obligate any party to make repairs or take other",
+          "actions. The decision to correct a hazard or any deficiency identified in an inspection report is left up to the parties to the contract",
+          "for the sale or purchase of the home.",
+          "",
+          "This property inspection report may include an inspection agreement (contract), addenda, and other information related to property",
+          "conditions.",
+          "",
+          'INFORMATION INCLUDED UNDER "ADDITIONAL INFORMATION PROVIDED BY INSPECTOR", OR PROVIDED AS',
+          "AN ATTACHMENT WITH THE STANDARD FORM, IS NOT REQUIRED BY THE COMMISSION AND MAY CONTAIN",
+          "CONTRACTUAL TERMS BETWEEN THE INSPECTOR AND YOU, AS THE CLIENT. THE COMMISSION DOES NOT",
+          "REGULATE CONTRACTUAL TERMS BETWEEN PARTIES. IF YOU DO NOT UNDERSTAND THE EFFECT OF ANY",
+          "CONTRACTUAL TERM CONTAINED IN THIS SECTION OR ANY ATTACHMENTS, CONSULT AN ATTORNEY.",
+        ],
+      },
+    ],
+  },
+  statusCodes: [
+    { status: "I", code: "I", label: "Inspected" },
+    { status: "NI", code: "NI", label: "Not Inspected" },
+    { status: "NP", code: "NP", label: "Not Present" },
+    { status: "D", code: "D", label: "Deficient" },
+  ],
+  footer: {
+    formNumber: "REI 7-6 (8/9/2021)",
+    text: "Promulgated by the Texas Real Estate Commission - (512) 936-3000 - ",
+    link: { text: "www.trec.texas.gov", url: "https://www.trec.texas.gov" },
+  },
+};
+
+const registry = new Map(); // id -> normalized template
+
+function invalidTemplate(id, message) {
+  return new Error(`Invalid form template "${id}": ${message}`);
+}
+
+// Fill in optional parts and reject definitions the renderers cannot draw
+function normalizeTemplate(def) {
+  const id = def?.id;
+  if (!id || typeof id !== "string") {
+    throw invalidTemplate(id, "id is required");
+  }
+  const statusCodes = def.statusCodes;
+  if (!Array.isArray(statusCodes) || statusCodes.length === 0) {
+    throw invalidTemplate(id, "statusCodes must be a non-empty array");
+  }
+  for (const entry of statusCodes) {
+    if (!INSPECTION_STATUSES.includes(entry?.status)) {
+      throw invalidTemplate(
+        id,
+        `status must be one of ${INSPECTION_STATUSES.join(", ")}`
+      );
+    }
+  }
+  const header = def.header || {};
+  const footer = def.footer || {};
+  const codes = statusCodes.map((entry) => ({
+    status: entry.status,
+    code: entry.code || entry.status,
+    label: entry.label || entry.status,
+  }));
+  return {
+    id,
+    name: def.name || id,
+    header: {
+      logoPath: header.logoPath || null,
+      logoPlaceholder: header.logoPlaceholder || null,
+      title: header.title || "PROPERTY INSPECTION REPORT",
+      fields: { ...DEFAULT_FIELDS, ...header.fields },
+      licensePrefix: header.licensePrefix ?? "License # ",
+      sections: Array.isArray(header.sections) ? header.sections : [],
+    },
+    statusCodes: codes,
+    legend:
+      def.legend ||
+      codes.map((entry) => `${entry.code}=${entry.label}`).join("    "),
+    footer: {
+      formNumber: footer.formNumber || "",
+      text: footer.text || "",
+      link: footer.link?.text ? footer.link : null,
+    },
+  };
+}
+
+/**
+ * Add or replace a template.
+ * @param {Object} def - { id, name, header, statusCodes, legend, footer }
+ * @returns {Object} the normalized template
+ */
+function registerFormTemplate(def) {
+  const template = normalizeTemplate(def);
+  registry.set(template.id, template);
+  return template;
+}
+
+// <id>.json from FORM_TEMPLATE_DIR, or null when there is none
+function loadTemplateFile(id) {
+  // Ids become file names, so only plain ids are looked up
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) return null;
+  const file = path.join(FORM_TEMPLATE_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) return null;
+  const def = JSON.parse(fs.readFileSync(file, "utf8"));
+  return registerFormTemplate({ ...def, id });
+}
+
+/**
+ * Look up a template by id (default "trec").
+ * Throws a 400-tagged error for unknown ids.
+ */
+function getFormTemplate(id) {
+  const key = id || DEFAULT_FORM_TEMPLATE;
+  const template = registry.get(key) || loadTemplateFile(String(key));
+  if (!template) {
+    const err = new Error(
+      `Unknown formTemplate "${key}". Use one of: ${listFormTemplates()
+        .map((t) => t.id)
+        .join(", ")}`
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+  return template;
+}
+
+// Registered templates plus any not yet loaded from FORM_TEMPLATE_DIR
+function listFormTemplates() {
+  let files = [];
+  try {
+    files = fs.readdirSync(FORM_TEMPLATE_DIR);
+  } catch {}
+  for (const file of files) {
+    const id = file.replace(/\.json$/, "");
+    if (file.endsWith(".json") && !registry.has(id)) {
+      try {
+        loadTemplateFile(id);
+      } catch (err) {
+        console.warn(`Ignoring form template ${file}:`, err.message);
+      }
+    }
+  }
+  return [...registry.values()].map(({ id, name }) => ({ id, name }));
+}
+
+registerFormTemplate(TREC_TEMPLATE);
+
+module.exports = {
+  DEFAULT_FORM_TEMPLATE,
+  FORM_TEMPLATE_DIR,
+  registerFormTemplate,
+  getFormTemplate,
+  listFormTemplates,
+};
@@ -0,0 +1,519 @@
+const { PDFDocument, rgb } = require("pdf-lib");
+const fs = require("fs");
+const { safeText } = require("./report-fonts");
+const { preloadImages, collectImageUrls } = require("./report-media");
+const {
+  PROFILES,
+  createLayout,
+  addPage,
+  ensureSpace,
+  drawWrapped,
+  drawMediaGrid,
+  finishPages,
+  commentBody,
+  inspectionAddress,
+  inspectionDate,
+  throwIfAborted,
+} = require("./report-layout");
+const {
+  isDeficientLineItem,
+  isDefectComment,
+} = require("./deficiency-summary");
+const { addOutline } = require("./report-outline");
+const { reportFileName } = require("./generatePdf");
+const {
+  isDraftReport,
+  stampDraftWatermark,
+  assertFinalizable,
+} = require("./report-finalize");
+const { resolveSecurity, protectPdf } = require("./report-security");
+const {
+  createWarnings,
+  finishWarnings,
+  setWarningHeaders,
+} = require("./report-warnings");
+
+/**
+ * Re-inspection comparison report
+ * Matches the original and follow-up inspections section by section, line
+ * item by line item and comment by comment (by `id`, falling back to
+ * `commentTemplateId`, then label/name) and lists every deficiency as
+ * Resolved, Still Present or New, with before/after photos side by side.
+ * A deficiency whose comment is gone from the follow-up, or is no longer a
+ * defect there, counts as Resolved.
+ */
+
+const STATUS = {
+  resolved: "Resolved",
+  stillPresent: "Still Present",
+  new: "New",
+};
+const STATUS_COLORS = {
+  [STATUS.resolved]: rgb(0.13, 0.55, 0.13),
+  [STATUS.stillPresent]: rgb(0.8, 0.1, 0.1),
+  [STATUS.new]: rgb(0.9, 0.5, 0),
+};
+const TEXT_GRAY = rgb(0.35, 0.35, 0.35);
+
+const SECTION_KEYS = [(s) => s.id, (s) => s.name];
+const LINE_ITEM_KEYS = [(li) => li.id, (li) => li.name || li.title];
+const COMMENT_KEYS = [(c) => c.id, (c) => c.commentTemplateId, (c) => c.label];
+
+function normalizeKey(value) {
+  if (value === null || value === undefined) return null;
+  const key = String(value).trim().toLowerCase();
+  return key || null;
+}
+
+/**
+ * Pair every follow-up item with an original one, trying each key in turn
+ * so an `id` match always wins over a label match.
+ * @returns {Array<{ before, after }>} follow-up order, then unmatched originals
+ */
+function matchItems(originals = [], followUps = [], keys) {
+  const pairs = followUps.map((after) => ({ before: null, after }));
+  const used = new Set();
+  for (const key of keys) {
+    for (const pair of pairs) {
+      if (pair.before) continue;
+      const value = normalizeKey(key(pair.after));
+      if (!value) continue;
+      const before = originals.find(
+        (o) => !used.has(o) && normalizeKey(key(o)) === value
+      );
+      if (before) {
+        pair.before = before;
+        used.add(before);
+      }
+    }
+  }
+  for (const before of originals) {
+    if (!used.has(before)) pairs.push({ before, after: null });
+  }
+  return pairs;
+}
+
+// Line items marked deficient without a defect comment to carry it
+function flaggedOnly(lineItem) {
+  return (
+    isDeficientLineItem(lineItem) &&
+    !(lineItem?.comments || []).some(isDefectComment)
+  );
+}
+
+function compareLineItems(before, after) {
+  const entries = [];
+  const commentPairs = matchItems(
+    before?.comments || [],
+    after?.comments || [],
+    COMMENT_KEYS
+  );
+  for (const pair of commentPairs) {
+    const wasDefect = pair.before && isDefectComment(pair.before);
+    const isDefect = pair.after && isDefectComment(pair.after);
+    if (!wasDefect && !isDefect) continue;
+    let status = STATUS.new;
+    // A defect comment dropped from a line item still flagged deficient is
+    // not resolved: the flag carries it now
+    if (wasDefect) {
+      status =
+        isDefect || flaggedOnly(after) ? STATUS.stillPresent : STATUS.resolved;
+    }
+    entries.push({ status, before: pair.before, after: pair.after });
+  }
+
+  if (flaggedOnly(before)) {
+    entries.push({
+      status: isDeficientLineItem(after)
+        ? STATUS.stillPresent
+        : STATUS.resolved,
+      before: null,
+      after: null,
+    });
+  } else if (
+    flaggedOnly(after) &&
+    !isDeficientLineItem(before) &&
+    !(before?.comments || []).some(isDefectComment)
+  ) {
+    // New only when no earlier deficiency is carried over by the flag
+    entries.push({ status: STATUS.new, before: null, after: null });
+  }
+  return entries;
+}
+
+/**
+ * Compare two inspections.
+ * @returns {{ sections: Array<{ section, entries: Array<{ status, lineItem,
+ *   lineItemIndex, before, after }> }>, counts: Object }} before/after are
+ *   the matched comments (null for line-item level deficiencies)
+ */
+function compareInspections(original, followUp) {
+  const sections = [];
+  const counts = {
+    [STATUS.resolved]: 0,
+    [STATUS.stillPresent]: 0,
+    [STATUS.new]: 0,
+  };
+  const sectionPairs = matchItems(
+    original?.sections || [],
+    followUp?.sections || [],
+    SECTION_KEYS
+  );
+  for (const sectionPair of sectionPairs) {
+    const entries = [];
+    const lineItemPairs = matchItems(
+      sectionPair.before?.lineItems || [],
+      sectionPair.after?.lineItems || [],
+      LINE_ITEM_KEYS
+    );
+    for (const pair of lineItemPairs) {
+      // Numbered as in the report it comes from, not by its place in the pairs
+      const lineItemIndex = pair.after
+        ? sectionPair.after.lineItems.indexOf(pair.after)
+        : sectionPair.before.lineItems.indexOf(pair.before);
+      for (const entry of compareLineItems(pair.before, pair.after)) {
+        entries.push({
+          ...entry,
+          lineItem: pair.after || pair.before,
+          lineItemIndex,
+        });
+        counts[entry.status] += 1;
+      }
+    }
+    if (entries.length > 0) {
+      sections.push({
+        section: sectionPair.after || sectionPair.before,
+        entries,
+      });
+    }
+  }
+  return { sections, counts };
+}
+
+function drawStatusBadge(layout, status, x, y) {
+  const font = layout.fonts.bold;
+  const size = 9;
+  const text = status.toUpperCase();
+  const w = font.widthOfTextAtSize(text, size) + 10;
+  layout.page.drawRectangle({
+    x,
+    y: y - 3,
+    width: w,
+    height: size + 6,
+    color: STATUS_COLORS[status],
+  });
+  layout.page.drawText(text, {
+    x: x + 5,
+    y,
+    size,
+    font,
+    color: rgb(1, 1, 1),
+  });
+  return w;
+}
+
+// Photos of both comments, paired row by row: before on the left, after on
+// the right
+function pairedPhotos(before, after) {
+  const photos = (comment) => (comment?.photos || []).filter((p) => p?.url);
+  const left = photos(before);
+  const right = photos(after);
+  const items = [];
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    for (const [side, list] of [
+      ["Before", left],
+      ["After", right],
+    ]) {
+      const photo = list[i];
+      items.push(
+        photo && {
+          ...photo,
+          kind: "photo",
+          caption: [`${side} ${i + 1}`, photo.caption || photo.description]
+            .filter(Boolean)
+            .join(": "),
+        }
+      );
+    }
+  }
+  return items;
+}
+
+// Returns where the entry starts, for the outline
+async function renderEntry(layout, entry) {
+  const { profile, fonts } = layout;
+  const { lineHeight } = profile.text;
+  const comment = entry.after || entry.before;
+
+  ensureSpace(layout, lineHeight * 3);
+  const start = { page: layout.page, y: layout.y + lineHeight };
+  const badgeW = drawStatusBadge(
+    layout,
+    entry.status,
+    profile.contentX,
+    layout.y
+  );
+  const title = [
+    profile.lineItemLabel(entry.lineItem, entry.lineItemIndex),
+    comment && [comment.commentNumber, comment.label].filter(Boolean).join(" "),
+  ]
+    .filter(Boolean)
+    .join(" - ");
+  drawWrapped(layout, title, {
+    x: profile.contentX + badgeW + 8,
+    width:
+      layout.page.getSize().width -
+      profile.rightMargin -
+      profile.contentX -
+      badgeW -
+      8,
+    font: fonts.bold,
+  });
+  if (comment?.location) {
+    drawWrapped(layout, `Location: ${comment.location}`, {
+      color: TEXT_GRAY,
+    });
+  }
+  if (!comment) {
+    drawWrapped(
+      layout,
+      entry.status === STATUS.resolved
+        ? "Line item no longer marked deficient."
+        : "Line item marked deficient.",
+      { color: TEXT_GRAY }
+    );
+  }
+  const before = entry.before ? commentBody(entry.before) : "";
+  const after = entry.after ? commentBody(entry.after) : "";
+  if (before) drawWrapped(layout, `Before: ${before}`);
+  // Unchanged follow-up text is not repeated
+  if (after && after !== before) drawWrapped(layout, `After: ${after}`);
+  if (layout.includeImages) {
+    layout.y -= 6;
+    await drawMediaGrid(layout, pairedPhotos(entry.before, entry.after), {
+      columns: 2,
+      comment: entry.after || entry.before,
+    });
+  }
+
+  const { separator } = profile;
+  layout.y -= separator.before;
+  ensureSpace(layout, separator.thickness);
+  layout.page.drawRectangle({
+    x: profile.contentX,
+    y: layout.y,
+    width: layout.page.getSize().width - profile.contentX - profile.rightMargin,
+    height: separator.thickness,
+    color: separator.color,
+  });
+  layout.y -= separator.after;
+  return start;
+}
+
+function drawTitleBlock(layout, original, followUp, counts) {
+  const { profile, fonts } = layout;
+  const { width } = layout.page.getSize();
+  const title = "Re-inspection Comparison Report";
+  layout.page.drawText(title, {
+    x: (width - fonts.bold.widthOfTextAtSize(title, 18)) / 2,
+    y: layout.y,
+    size: 18,
+    font: fonts.bold,
+    color: rgb(0, 0, 0),
+  });
+  layout.y -= 30;
+
+  const address = inspectionAddress(followUp) || inspectionAddress(original);
+  if (address) drawWrapped(layout, address, { font: fonts.bold });
+  drawWrapped(
+    layout,
+    `Original inspection: ${inspectionDate(original) || "n/a"}`
+  );
+  drawWrapped(
+    layout,
+    `Follow-up inspection: ${inspectionDate(followUp) || "n/a"}`
+  );
+  layout.y -= 8;
+
+  // One badge + count per status
+  let x = profile.contentX;
+  for (const status of Object.values(STATUS)) {
+    x += drawStatusBadge(layout, status, x, layout.y) + 5;
+    const text = String(counts[status]);
+    layout.page.drawText(text, {
+      x,
+      y: layout.y,
+      size: profile.text.size,
+      font: fonts.bold,
+      color: rgb(0, 0, 0),
+    });
+    x += fonts.bold.widthOfTextAtSize(text, profile.text.size) + 20;
+  }
+  layout.y -= 30;
+}
+
+/**
+ * Render the comparison PDF.
+ * @param {Object} original - original inspection (`inspection` object)
+ * @param {Object} followUp - follow-up inspection (`inspection` object)
+ * @param {Object} options - { includeImages, fontFamily, signal, finalize }
+ * @returns {Promise<{ pdfBytes, pageCount, fileName, counts }>}
+ */
+async function generateComparisonReport(original, followUp, options = {}) {
+  const { signal } = options;
+  const profile = PROFILES.modern;
+  const includeImages = options.includeImages !== false;
+  // Draft and finalize follow the re-inspection, which the report is about
+  assertFinalizable(followUp, options, "/followUp/inspection");
+  const security = resolveSecurity(options, followUp);
+  const comparison = compareInspections(original, followUp);
+
+  if (includeImages) {
+    const urls = new Set([
+      ...collectImageUrls({ sections: original?.sections }),
+      ...collectImageUrls({ sections: followUp?.sections }),
+    ]);
+    await preloadImages(Array.from(urls), profile.image);
+    throwIfAborted(signal);
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  const warnings = createWarnings();
+  pdfDoc.setTitle("Re-inspection Comparison Report");
+  pdfDoc.setSubject(inspectionAddress(followUp) || "Re-inspection comparison");
+  const layout = await createLayout(pdfDoc, {
+    profile: "modern",
+    headerText: [
+      "Re-inspection Comparison",
+      inspectionAddress(followUp) || inspectionAddress(original),
+    ]
+      .filter(Boolean)
+      .join(": "),
+    fontFamily: options.fontFamily,
+    includeImages,
+    warnings,
+  });
+  addPage(layout);
+  drawTitleBlock(layout, original, followUp, comparison.counts);
+
+  if (comparison.sections.length === 0) {
+    drawWrapped(layout, "No deficiencies in either inspection.");
+  }
+
+  const outline = [];
+  for (const [sectionIndex, group] of comparison.sections.entries()) {
+    throwIfAborted(signal);
+    ensureSpace(layout, profile.text.lineHeight * 4);
+    const sectionEntry = {
+      title: profile.sectionLabel(group.section, sectionIndex),
+      page: layout.page,
+      y: layout.y + profile.text.lineHeight,
+      children: [],
+    };
+    drawWrapped(layout, safeText(layout.fonts.bold, sectionEntry.title), {
+      size: 14,
+      lineHeight: 20,
+      font: layout.fonts.bold,
+    });
+    layout.y -= 6;
+    for (const entry of group.entries) {
+      const start = await renderEntry(layout, entry);
+      sectionEntry.children.push({
+        ...start,
+        title: `${entry.status}: ${profile.lineItemLabel(
+          entry.lineItem,
+          entry.lineItemIndex
+        )}`,
+      });
+    }
+    outline.push(sectionEntry);
+  }
+
+  finishPages(layout);
+  addOutline(pdfDoc, outline);
+  if (isDraftReport(followUp, options)) {
+    await stampDraftWatermark(pdfDoc, options);
+  }
+  finishWarnings(warnings, pdfDoc, options);
+  const pdfBytes = await protectPdf(await pdfDoc.save(), security);
+  return {
+    pdfBytes,
+    pageCount: pdfDoc.getPageCount(),
+    fileName: reportFileName(followUp).replace(/\.pdf$/, "-comparison.pdf"),
+    counts: comparison.counts,
+    warnings: warnings.list,
+  };
+}
+
+/**
+ * POST /genComparison
+ * Body: { original: { inspection }, followUp: { inspection }, options }
+ */
+async function generateComparisonHandler(req, res) {
+  try {
+    const original = req.body?.original?.inspection || {};
+    const followUp = req.body?.followUp?.inspection || {};
+    const options = req.body?.options || {};
+
+    const result = await generateComparisonReport(original, followUp, options);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${result.fileName}"`
+    );
+    res.setHeader("X-Report-Pages", result.pageCount);
+    res.setHeader("X-Comparison-Counts", JSON.stringify(result.counts));
+    setWarningHeaders(res, result.warnings);
+    res.send(Buffer.from(result.pdfBytes));
+  } catch (error) {
+    console.error("Error generating comparison report:", error);
+    res.status(error.statusCode || 500).json({
+      ok: false,
+      error: "Failed to generate comparison report",
+      details: error.message,
+      problems: error.problems,
+      warnings: error.warnings,
+    });
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 3) {
+    console.log(`
+Usage: node generate-comparison-report.js <original.json> <follow-up.json> <output.pdf> [--no-images]
+    `);
+    process.exit(0);
+  }
+
+  const [originalJson, followUpJson, outputPdf] = args;
+  const read = (file) =>
+    JSON.parse(fs.readFileSync(file, "utf-8"))?.inspection || {};
+
+  generateComparisonReport(read(originalJson), read(followUpJson), {
+    includeImages: !args.includes("--no-images"),
+  })
+    .then((result) => {
+      fs.writeFileSync(outputPdf, result.pdfBytes);
+      console.log(
+        `✅ Comparison saved to ${outputPdf} (${result.pageCount} pages)`,
+        result.counts
+      );
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("💥 Failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  STATUS,
+  matchItems,
+  compareInspections,
+  generateComparisonReport,
+  generateComparisonHandler,
+};
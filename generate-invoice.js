@@ -0,0 +1,120 @@
+const { PDFDocument } = require("pdf-lib");
+const fs = require("fs");
+const { finishPages, reportHeaderText } = require("./report-layout");
+const { addOutline } = require("./report-outline");
+const { reportFileName } = require("./generatePdf");
+const { resolveBranding } = require("./account-branding");
+const { resolveSecurity, protectPdf } = require("./report-security");
+const { renderInvoicePage } = require("./invoice-page");
+const {
+  createWarnings,
+  finishWarnings,
+  setWarningHeaders,
+} = require("./report-warnings");
+
+/**
+ * Standalone invoice
+ * The invoice page from invoice-page.js as a PDF of its own, for billing
+ * apart from the report.
+ */
+
+/**
+ * Render the invoice as its own PDF.
+ * @param {Object} inspection - `inspection` object
+ * @param {Object} options - { fontFamily, branding, accountId, security }
+ * @returns {Promise<{ pdfBytes, pageCount, fileName, invoice, warnings }>}
+ */
+async function generateInvoice(inspection, options = {}) {
+  const security = resolveSecurity(options, inspection);
+  const pdfDoc = await PDFDocument.create();
+  const warnings = createWarnings();
+  const branding = resolveBranding(options, inspection);
+  pdfDoc.setTitle("Invoice");
+  pdfDoc.setAuthor(branding?.companyName || "Inspection Service");
+
+  const rendered = await renderInvoicePage(pdfDoc, inspection, {
+    profile: "modern",
+    headerText: reportHeaderText(inspection),
+    fontFamily: options.fontFamily,
+    branding,
+    warnings,
+  });
+  if (!rendered) {
+    const err = new Error(
+      "Nothing to invoice: the inspection has no fee or bookingFormData.breakdown"
+    );
+    err.statusCode = 422;
+    throw err;
+  }
+  finishPages(rendered.layout);
+  addOutline(pdfDoc, [
+    { title: "Invoice", page: rendered.layout.pages[0], y: null },
+  ]);
+  finishWarnings(warnings, pdfDoc, options);
+  const pdfBytes = await protectPdf(await pdfDoc.save(), security);
+  return {
+    pdfBytes,
+    pageCount: pdfDoc.getPageCount(),
+    fileName: reportFileName(inspection).replace(/\.pdf$/, "-invoice.pdf"),
+    invoice: rendered.invoice,
+    warnings: warnings.list,
+  };
+}
+
+/**
+ * POST /genInvoice
+ * Body: { inspection, options }
+ */
+async function generateInvoiceHandler(req, res) {
+  try {
+    const inspection = req.body?.inspection || {};
+    const options = req.body?.options || {};
+
+    const result = await generateInvoice(inspection, options);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${result.fileName}"`
+    );
+    res.setHeader("X-Report-Pages", result.pageCount);
+    setWarningHeaders(res, result.warnings);
+    res.send(Buffer.from(result.pdfBytes));
+  } catch (error) {
+    console.error("Error generating invoice:", error);
+    res.status(error.statusCode || 500).json({
+      ok: false,
+      error: "Failed to generate invoice",
+      details: error.message,
+      warnings: error.warnings,
+    });
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const [inputJson, outputPdf] = process.argv.slice(2);
+
+  if (!inputJson || !outputPdf) {
+    console.log(`
+Usage: node generate-invoice.js <inspection.json> <invoice.pdf>
+    `);
+    process.exit(0);
+  }
+
+  const data = JSON.parse(fs.readFileSync(inputJson, "utf-8"));
+  generateInvoice(data?.inspection || {}, data?.options || {})
+    .then((result) => {
+      fs.writeFileSync(outputPdf, result.pdfBytes);
+      console.log(`Wrote ${outputPdf} (${result.invoice.status})`);
+    })
+    .catch((error) => {
+      console.error("💥 Failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  generateInvoice,
+  generateInvoiceHandler,
+};
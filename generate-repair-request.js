@@ -0,0 +1,385 @@
+const { PDFDocument, rgb } = require("pdf-lib");
+const fs = require("fs");
+const { preloadImages, collectImageUrls } = require("./report-media");
+const {
+  PROFILES,
+  createLayout,
+  addPage,
+  ensureSpace,
+  contentWidth,
+  drawWrapped,
+  drawMediaGrid,
+  finishPages,
+  commentBody,
+  inspectionAddress,
+  inspectionDate,
+} = require("./report-layout");
+const { addOutline } = require("./report-outline");
+const { reportFileName } = require("./generatePdf");
+const { resolveBranding } = require("./account-branding");
+const { resolveSecurity, protectPdf } = require("./report-security");
+const {
+  createWarnings,
+  finishWarnings,
+  setWarningHeaders,
+} = require("./report-warnings");
+
+/**
+ * Repair request addendum
+ * The buyer's agent picks deficiencies from the report by comment id; each
+ * one is listed with its location, text and photos, followed by form
+ * fields for the seller's answer: agrees or declines (a radio group), a
+ * credit amount and notes. Unlike the report's checkboxes these fields are
+ * never flattened, so the seller can fill the PDF in and send it back.
+ *
+ * Field names are repair_<n>_response ("agree" | "decline"),
+ * repair_<n>_credit and repair_<n>_notes, n being the entry number printed
+ * on the page; repair_<n>_id is a hidden field holding the comment id.
+ */
+
+const TEXT_GRAY = rgb(0.35, 0.35, 0.35);
+const FIELD_BORDER = rgb(0.55, 0.55, 0.55);
+// Rows of the seller's answer, top to bottom
+const RADIO_ROW_TOP = 2; // below layout.y
+const RADIO_ROW_HEIGHT = 24;
+const CREDIT_ROW_HEIGHT = 20;
+const NOTES_LABEL_GAP = 4;
+const NOTES_HEIGHT = 40;
+const RESPONSE_BLOCK_GAP = 14; // below the notes box
+const RESPONSE_BLOCK_HEIGHT =
+  RADIO_ROW_TOP +
+  RADIO_ROW_HEIGHT +
+  CREDIT_ROW_HEIGHT +
+  NOTES_LABEL_GAP +
+  NOTES_HEIGHT +
+  RESPONSE_BLOCK_GAP;
+
+function requestError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * The selected comments with their line item and section, in report order.
+ * Unknown ids are an error, so a stale selection is not silently dropped.
+ * @returns {Array<{ section, sectionIndex, lineItem, lineItemIndex,
+ *   comment }>}
+ */
+function selectRepairItems(inspection, commentIds) {
+  if (!Array.isArray(commentIds) || commentIds.length === 0) {
+    throw requestError("commentIds must list at least one comment id");
+  }
+  const wanted = new Set(commentIds.map(String));
+  const found = new Set();
+  const items = [];
+  (inspection?.sections || []).forEach((section, sectionIndex) => {
+    (section.lineItems || []).forEach((lineItem, lineItemIndex) => {
+      for (const comment of lineItem.comments || []) {
+        const id = comment?.id === undefined ? null : String(comment.id);
+        if (id === null || !wanted.has(id) || found.has(id)) continue;
+        found.add(id);
+        items.push({ section, sectionIndex, lineItem, lineItemIndex, comment });
+      }
+    });
+  });
+  const missing = [...wanted].filter((id) => !found.has(id));
+  if (missing.length > 0) {
+    throw requestError(`Unknown comment ids: ${missing.join(", ")}`);
+  }
+  return items;
+}
+
+function drawFieldLabel(layout, text, x, y) {
+  layout.page.drawText(text, {
+    x,
+    y,
+    size: layout.profile.text.size - 1,
+    font: layout.fonts.regular,
+    color: rgb(0, 0, 0),
+  });
+  return layout.fonts.regular.widthOfTextAtSize(
+    text,
+    layout.profile.text.size - 1
+  );
+}
+
+// Seller's answer for entry n, kept together on one page
+function drawResponseFields(layout, form, n, item) {
+  const { profile } = layout;
+  const x = profile.contentX;
+  ensureSpace(layout, RESPONSE_BLOCK_HEIGHT);
+  const page = layout.page;
+  const fieldOptions = { borderColor: FIELD_BORDER, borderWidth: 1 };
+
+  let y = layout.y - RADIO_ROW_TOP;
+  const response = form.createRadioGroup(`repair_${n}_response`);
+  let cursor = x;
+  for (const [value, label] of [
+    ["agree", "Seller agrees to repair"],
+    ["decline", "Seller declines"],
+  ]) {
+    response.addOptionToPage(value, page, {
+      ...fieldOptions,
+      x: cursor,
+      y: y - 2,
+      width: 11,
+      height: 11,
+    });
+    cursor += 16 + drawFieldLabel(layout, label, cursor + 16, y) + 24;
+  }
+
+  y -= RADIO_ROW_HEIGHT;
+  const creditLabel = drawFieldLabel(layout, "Credit amount: $", x, y);
+  form.createTextField(`repair_${n}_credit`).addToPage(page, {
+    ...fieldOptions,
+    x: x + creditLabel + 4,
+    y: y - 4,
+    width: 100,
+    height: 16,
+  });
+
+  y -= CREDIT_ROW_HEIGHT;
+  drawFieldLabel(layout, "Notes:", x, y);
+  const notes = form.createTextField(`repair_${n}_notes`);
+  notes.enableMultiline();
+  notes.addToPage(page, {
+    ...fieldOptions,
+    x,
+    y: y - NOTES_LABEL_GAP - NOTES_HEIGHT,
+    width: contentWidth(layout),
+    height: NOTES_HEIGHT,
+  });
+
+  // Which comment this entry answers, for reading the filled form back
+  const id = form.createTextField(`repair_${n}_id`);
+  id.setText(String(item.comment.id));
+  id.enableReadOnly();
+  id.addToPage(page, {
+    x,
+    y: y - NOTES_LABEL_GAP - NOTES_HEIGHT,
+    width: 0,
+    height: 0,
+  });
+
+  layout.y = y - NOTES_LABEL_GAP - NOTES_HEIGHT - RESPONSE_BLOCK_GAP;
+}
+
+// Returns where the entry starts, for the outline
+async function renderRepairEntry(layout, form, n, item) {
+  const { profile, fonts } = layout;
+  const { lineHeight } = profile.text;
+  const { comment } = item;
+
+  ensureSpace(layout, lineHeight * 3);
+  const start = { page: layout.page, y: layout.y + lineHeight };
+  drawWrapped(
+    layout,
+    `${n}. ${profile.lineItemLabel(item.lineItem, item.lineItemIndex)}`,
+    { font: fonts.bold }
+  );
+  drawWrapped(layout, profile.sectionLabel(item.section, item.sectionIndex), {
+    color: TEXT_GRAY,
+  });
+  drawWrapped(layout, profile.commentLabel(comment), { font: fonts.bold });
+  if (comment.location) {
+    drawWrapped(layout, `Location: ${comment.location}`, { color: TEXT_GRAY });
+  }
+  const body = commentBody(comment);
+  if (body) drawWrapped(layout, body);
+  if (layout.includeImages) {
+    layout.y -= 6;
+    await drawMediaGrid(
+      layout,
+      (comment.photos || [])
+        .filter((p) => p?.url)
+        .map((p) => ({ ...p, kind: "photo" })),
+      { comment }
+    );
+  }
+  layout.y -= 6;
+  drawResponseFields(layout, form, n, item);
+
+  const { separator } = profile;
+  ensureSpace(layout, separator.thickness);
+  layout.page.drawRectangle({
+    x: profile.contentX,
+    y: layout.y,
+    width: contentWidth(layout),
+    height: separator.thickness,
+    color: separator.color,
+  });
+  layout.y -= separator.after;
+  return start;
+}
+
+function drawTitleBlock(layout, inspection, count) {
+  const { fonts } = layout;
+  const { width } = layout.page.getSize();
+  const title = "Repair Request Addendum";
+  layout.page.drawText(title, {
+    x: (width - fonts.bold.widthOfTextAtSize(title, 18)) / 2,
+    y: layout.y,
+    size: 18,
+    font: fonts.bold,
+    color: layout.branding?.colors.primary || rgb(0, 0, 0),
+  });
+  layout.y -= 30;
+
+  const address = inspectionAddress(inspection);
+  if (address) drawWrapped(layout, address, { font: fonts.bold });
+  drawWrapped(
+    layout,
+    `Inspection date: ${inspectionDate(inspection) || "n/a"}`
+  );
+  if (inspection?.clientInfo?.name) {
+    drawWrapped(layout, `Buyer: ${inspection.clientInfo.name}`);
+  }
+  drawWrapped(
+    layout,
+    `The buyer asks the seller to address the ${count} item${
+      count === 1 ? "" : "s"
+    } below. For each, mark whether the seller agrees to repair it or declines, and enter any credit offered instead.`,
+    { color: TEXT_GRAY }
+  );
+  layout.y -= 14;
+}
+
+/**
+ * Render the repair request PDF.
+ * @param {Object} inspection - `inspection` object
+ * @param {string[]} commentIds - ids of the comments to request repairs for
+ * @param {Object} options - { includeImages, fontFamily, branding,
+ *   accountId, security }
+ * @returns {Promise<{ pdfBytes, pageCount, fileName, count, warnings }>}
+ */
+async function generateRepairRequest(inspection, commentIds, options = {}) {
+  const profile = PROFILES.modern;
+  const includeImages = options.includeImages !== false;
+  const items = selectRepairItems(inspection, commentIds);
+  // The seller has to be able to fill the fields in an encrypted copy too
+  const security = resolveSecurity(options, inspection, { fillable: true });
+
+  if (includeImages) {
+    await preloadImages(
+      collectImageUrls({
+        sections: [{ lineItems: [{ comments: items.map((i) => i.comment) }] }],
+      }),
+      profile.image
+    );
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  const warnings = createWarnings();
+  const branding = resolveBranding(options, inspection);
+  pdfDoc.setTitle("Repair Request Addendum");
+  pdfDoc.setSubject(inspectionAddress(inspection) || "Repair request");
+  pdfDoc.setAuthor(branding?.companyName || "Inspection Service");
+  const layout = await createLayout(pdfDoc, {
+    profile: "modern",
+    headerText: ["Repair Request", inspectionAddress(inspection)]
+      .filter(Boolean)
+      .join(": "),
+    fontFamily: options.fontFamily,
+    includeImages,
+    branding,
+    warnings,
+  });
+  const form = pdfDoc.getForm();
+  addPage(layout);
+  drawTitleBlock(layout, inspection, items.length);
+
+  const outline = [];
+  for (const [i, item] of items.entries()) {
+    const start = await renderRepairEntry(layout, form, i + 1, item);
+    outline.push({
+      title: `${i + 1}. ${profile.lineItemLabel(
+        item.lineItem,
+        item.lineItemIndex
+      )}`,
+      ...start,
+    });
+  }
+
+  finishPages(layout);
+  addOutline(pdfDoc, outline);
+  // Appearances for every field; the fields themselves stay editable
+  form.updateFieldAppearances();
+  finishWarnings(warnings, pdfDoc, options);
+  const pdfBytes = await protectPdf(await pdfDoc.save(), security, {
+    keepForms: true,
+  });
+  return {
+    pdfBytes,
+    pageCount: pdfDoc.getPageCount(),
+    fileName: reportFileName(inspection).replace(
+      /\.pdf$/,
+      "-repair-request.pdf"
+    ),
+    count: items.length,
+    warnings: warnings.list,
+  };
+}
+
+/**
+ * POST /genRepairRequest
+ * Body: { inspection, commentIds: [...], options }
+ */
+async function generateRepairRequestHandler(req, res) {
+  try {
+    const inspection = req.body?.inspection || {};
+    const options = req.body?.options || {};
+
+    const result = await generateRepairRequest(
+      inspection,
+      req.body?.commentIds,
+      options
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${result.fileName}"`
+    );
+    res.setHeader("X-Report-Pages", result.pageCount);
+    setWarningHeaders(res, result.warnings);
+    res.send(Buffer.from(result.pdfBytes));
+  } catch (error) {
+    console.error("Error generating repair request:", error);
+    res.status(error.statusCode || 500).json({
+      ok: false,
+      error: "Failed to generate repair request",
+      details: error.message,
+      warnings: error.warnings,
+    });
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const [inputJson, outputPdf, ...ids] = process.argv.slice(2);
+
+  if (!inputJson || !outputPdf || ids.length === 0) {
+    console.log(`
+Usage: node generate-repair-request.js <inspection.json> <output.pdf> <commentId> [commentId...]
+    `);
+    process.exit(0);
+  }
+
+  const data = JSON.parse(fs.readFileSync(inputJson, "utf-8"));
+  generateRepairRequest(data?.inspection || {}, ids, data?.options || {})
+    .then((result) => {
+      fs.writeFileSync(outputPdf, result.pdfBytes);
+      console.log(`Wrote ${outputPdf} (${result.count} items)`);
+    })
+    .catch((error) => {
+      console.error("💥 Failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  selectRepairItems,
+  generateRepairRequest,
+  generateRepairRequestHandler,
+};
@@ -1,690 +1,107 @@
-const {
-  PDFDocument,
-  StandardFonts,
-  rgb,
-  breakTextIntoLines,
-} = require("pdf-lib");
+const { PDFDocument } = require("pdf-lib");
 const fs = require("fs");
 const path = require("path");
-const http = require("http");
-const https = require("https");
+const crypto = require("crypto");
 const buildTrecHeaderPdf = require("./create-header-page");
-const Jimp = require("jimp");
-
-// Image cache for parallel downloading
-const imageCache = new Map();
-
-const alpha = [
-  "A",
-  "B",
-  "C",
-  "D",
-  "E",
-  "F",
-  "G",
-  "H",
-  "I",
-  "J",
-  "K",
-  "L",
-  "M",
-  "N",
-  "O",
-  "P",
-  "Q",
-  "R",
-  "S",
-  "T",
-  "U",
-  "V",
-  "W",
-  "X",
-  "Y",
-  "Z",
-];
-// Move line items a bit to the left to reduce gap from checkboxes
-const lineItemContentStartX = 130;
-// Checkboxes config
-const CHECKBOX_SIZE = 12; // slightly smaller boxes
-const CHECKBOX_COUNT = 4; // I, NI, NP, D
-const CHECKBOX_MIN_SPACING = 6; // tighten gaps between boxes
-const CHECKBOX_MAX_SPACING = 14; // cap spacing so it doesn't spread too wide
-const MINIMUM_SPACE_NEEDED = 50;
-// Keep content above the footer (page number + TREC line). Increase if footer grows.
-const FOOTER_BUFFER = 100;
-// Default vertical space between image rows in the grid
-const ROW_SPACING_DEFAULT = 24;
-// Grid layout defaults
-const GRID_COLUMNS_DEFAULT = 3; // target number of columns
-const GRID_GUTTER = 12; // horizontal spacing between cells
-const GRID_MAX_CELL_HEIGHT = 240; // maximum image height per cell (without caption)
-const RIGHT_MARGIN = 20; // right page margin for content column
-// Image compression defaults
-const IMAGE_MAX_DIM = 1600; // max width/height for embedded images
-const IMAGE_JPEG_QUALITY = 70; // JPEG quality for recompression
-
-function intToRoman(num) {
-  if (!Number.isFinite(num) || num <= 0) return "";
-  const romans = [
-    [1000, "M"],
-    [900, "CM"],
-    [500, "D"],
-    [400, "CD"],
-    [100, "C"],
-    [90, "XC"],
-    [50, "L"],
-    [40, "XL"],
-    [10, "X"],
-    [9, "IX"],
-    [5, "V"],
-    [4, "IV"],
-    [1, "I"],
-  ];
-  let n = Math.floor(num),
-    res = "";
-  for (const [val, sym] of romans) {
-    while (n >= val) {
-      res += sym;
-      n -= val;
-    }
-  }
-  return res;
-}
-
-function formatDate(ms) {
-  try {
-    if (!ms) return "";
-    const d = new Date(ms);
-    if (isNaN(d.getTime())) return "";
-    // Format as MM/DD/YYYY
-    const mm = String(d.getMonth() + 1).padStart(2, "0");
-    const dd = String(d.getDate()).padStart(2, "0");
-    const yyyy = d.getFullYear();
-    return `${mm}/${dd}/${yyyy}`;
-  } catch {
-    return "";
-  }
-}
-
-async function addPageTemplate(page, font, headerText) {
-  const { width, height } = page.getSize();
-  const margin = 20;
-  page.drawText(headerText || "Report Identification", {
-    x: margin,
-    y: height - 40,
-    size: 12,
-    font,
-    color: rgb(0, 0, 0),
-  });
-  page.drawText(
-    "I=Inspected    NI=Not Inspected    NP=Not Present    D=Deficient",
-    {
-      x: margin,
-      y: height - 60,
-      size: 11,
-      font,
-      color: rgb(0, 0, 0),
-    }
-  );
-  // Slimmer legend box height
-  const boxY = height - 95;
-  const boxHeight = 18;
-  page.drawRectangle({
-    x: margin,
-    y: boxY,
-    width: width - margin * 2,
-    height: boxHeight,
-    borderColor: rgb(0, 0, 0),
-    borderWidth: 2,
-    color: rgb(1, 1, 1),
-  });
-  // Draw keys above where checkboxes will be placed by computing matching Xs
-  const checkboxXs = getCheckboxXs(width, margin);
-  const labels = ["I", "NI", "NP", "D"];
-  for (let i = 0; i < labels.length; i++) {
-    const label = labels[i];
-    // center label over box column
-    const labelWidth = font.widthOfTextAtSize(label, 10);
-    const centerX = checkboxXs[i] + CHECKBOX_SIZE / 2 - labelWidth / 2;
-    // Vertically balance baseline so top/bottom padding look equal
-    const keysY = boxY + Math.round((boxHeight - 10) / 2) + 1;
-    page.drawText(label, {
-      x: centerX,
-      y: keysY,
-      size: 10,
-      font,
-      color: rgb(0, 0, 0),
-    });
-  }
-  return height - 120;
-}
-
-async function checkAndCreateNewPage(
-  doc,
-  pos,
-  currentPage,
-  font,
-  headerText,
-  forceNewPage = false
-) {
-  const { height } = currentPage.getSize();
-  if (forceNewPage || pos.y < MINIMUM_SPACE_NEEDED) {
-    const newPage = doc.addPage();
-    const timesRomanFont = await doc.embedFont(StandardFonts.TimesRoman);
-    pos.y = await addPageTemplate(newPage, timesRomanFont, headerText);
-    return newPage;
-  }
-  return currentPage;
-}
-
-// Ensure there's enough vertical space left on the page for a block of content.
-// If not, add a new page and return the possibly updated currentPage.
-async function ensureSpace(
-  doc,
-  pos,
-  currentPage,
-  font,
-  neededHeight,
-  headerText
-) {
-  if (pos.y - neededHeight < FOOTER_BUFFER) {
-    // Force a new page when the remaining space would intrude into the footer buffer
-    currentPage = await checkAndCreateNewPage(
-      doc,
-      pos,
-      currentPage,
-      font,
-      headerText,
-      true
-    );
-  }
-  return currentPage;
-}
-
-function addLineHeaderForLineItem(lineItem, page, font, margin, height, index) {
-  const title = alpha[index % 26] + ". " + (lineItem.title || lineItem.name);
-  page.drawText(title, {
-    x: lineItemContentStartX,
-    y: height,
-    size: 12,
-    font,
-    color: rgb(0, 0, 0),
-  });
-}
-
-function getCheckboxXs(pageWidth, margin) {
-  // Evenly distribute 4 boxes from left margin up to just before text column start
-  const available = Math.max(40, lineItemContentStartX - margin - 10);
-  // spacing so that total width = 4*size + 3*spacing <= available, then clamp to keep gaps small
-  let spacing = Math.floor(
-    (available - CHECKBOX_COUNT * CHECKBOX_SIZE) / (CHECKBOX_COUNT - 1)
-  );
-  spacing = Math.min(
-    CHECKBOX_MAX_SPACING,
-    Math.max(CHECKBOX_MIN_SPACING, spacing)
-  );
-  const xs = [];
-  for (let i = 0; i < CHECKBOX_COUNT; i++)
-    xs.push(margin + i * (CHECKBOX_SIZE + spacing));
-  return xs;
-}
-
-function addCheckBoxToLineItem(lineItem, page, form, margin, y) {
-  const checkboxTypes = ["I", "NI", "NP", "D"];
-  const xs = getCheckboxXs(page.getSize().width, margin);
-  checkboxTypes.forEach((type, index) => {
-    const checkBox = form.createCheckBox(`lineItem.${lineItem.id}.${type}`);
-    let isChecked = false;
-    if (lineItem.isDeficient && type === "D") isChecked = true;
-    else if (!lineItem.isDeficient && type === lineItem.inspectionStatus)
-      isChecked = true;
-    checkBox.addToPage(page, {
-      x: xs[index],
-      y,
-      width: CHECKBOX_SIZE,
-      height: CHECKBOX_SIZE,
-      textColor: rgb(0, 0, 0),
-      backgroundColor: rgb(1, 1, 1),
-      borderColor: rgb(0, 0, 0),
-      borderWidth: 1,
-    });
-    if (isChecked) checkBox.check();
-  });
-}
-
-async function addCommentsTitleToLineItem(
-  lineItem,
-  page,
-  font,
-  margin,
-  height,
-  doc
-) {
-  const italicFont = await doc.embedFont(StandardFonts.TimesRomanItalic);
-  page.drawText("Comments: ", {
-    x: lineItemContentStartX,
-    y: height,
-    size: 10,
-    font: italicFont,
-    color: rgb(0, 0, 0),
-  });
-}
-
-async function addCommentsToLineItem(
-  comment,
-  page,
-  font,
-  margin,
-  pos,
-  doc,
-  commentIndex,
-  headerText
-) {
-  let currentPage = page;
-  const romanFont = await doc.embedFont(StandardFonts.TimesRoman);
-  const boldFont = await doc.embedFont(StandardFonts.TimesRomanBold);
-  const italicFont = await doc.embedFont(StandardFonts.TimesRomanItalic);
-  const SEPARATOR_GAP = 10;
-  const LINE_THICKNESS = 1;
-
-  const drawWrapped = async (
-    text,
-    x,
-    maxWidth,
-    size = 10,
-    lineH = 12,
-    useFont = romanFont,
-    color = rgb(0, 0, 0),
-    separators = [" "],
-    link = null,
-    underline = false
-  ) => {
-    if (!text) return 0;
-    const widthFn = (t) => useFont.widthOfTextAtSize(t, size);
-    const lines = breakTextIntoLines(text, separators, maxWidth, widthFn);
-    for (const line of lines) {
-      currentPage = await ensureSpace(
-        doc,
-        pos,
-        currentPage,
-        font,
-        lineH,
-        headerText
-      );
-      currentPage.drawText(line, {
-        x,
-        y: pos.y,
-        size,
-        font: useFont,
-        color,
-        link,
-        underline,
-      });
-      pos.y -= lineH;
-    }
-    return lines.length;
-  };
-
-  // compute line geometry once for bottom separator
-  const pageWidth = currentPage.getSize().width;
-  const lineStartX = lineItemContentStartX;
-  const lineWidth = pageWidth - lineStartX - RIGHT_MARGIN;
-
-  const labelText = `${commentIndex + 1}. ${comment?.label || ""}`;
-  // Space for label
-  currentPage = await ensureSpace(doc, pos, currentPage, font, 12, headerText);
-  currentPage.drawText(labelText, {
-    x: lineItemContentStartX,
-    y: pos.y,
-    size: 10,
-    font: boldFont,
-    color: rgb(0, 0, 0),
-  });
-  pos.y -= 12;
-
-  // Comment body text
-  const body = comment?.content || comment?.text || comment.commentText || "";
-  const contentWidth = currentPage.getSize().width - lineItemContentStartX - 20; // right margin 20
-  await drawWrapped(
-    body,
-    lineItemContentStartX,
-    contentWidth,
-    10,
-    12,
-    romanFont
-  );
-
-  // Photos: draw in a grid (3 columns by default), scaling to fit each cell
-  const photos = Array.isArray(comment.photos) ? comment.photos : [];
-  if (photos.length > 0) {
-    // Embed all images first
-    const embedded = [];
-    for (const p of photos) {
-      try {
-        const img = await fetchAndEmbedImage(p.url, doc);
-        if (img) embedded.push({ img, caption: p.caption || "" });
-      } catch {}
-    }
-    if (embedded.length > 0) {
-      const columns = Math.min(GRID_COLUMNS_DEFAULT, embedded.length);
-      const availW =
-        currentPage.getSize().width - lineItemContentStartX - RIGHT_MARGIN;
-      const cellW = Math.floor(
-        (availW - (columns - 1) * GRID_GUTTER) / columns
-      );
-      const rowSpacing = ROW_SPACING_DEFAULT;
-
-      let i = 0;
-      while (i < embedded.length) {
-        const row = embedded.slice(i, i + columns);
-
-        // Precompute scaled dims and row height
-        const scaled = row.map((item) => {
-          const s = Math.min(
-            cellW / item.img.width,
-            GRID_MAX_CELL_HEIGHT / item.img.height,
-            1
-          );
-          return {
-            img: item.img,
-            w: Math.floor(item.img.width * s),
-            h: Math.floor(item.img.height * s),
-            caption: item.caption,
-          };
-        });
-        const captionH = scaled.some((it) => it.caption) ? 12 : 0; // simple one-line caption per image
-        const rowHeight = Math.max(...scaled.map((it) => it.h)) + captionH;
-
-        // Ensure there's space for this whole row; if not, start new page
-        currentPage = await ensureSpace(
-          doc,
-          pos,
-          currentPage,
-          font,
-          rowHeight + rowSpacing,
-          headerText
-        );
-
-        // Draw the row
-        for (let c = 0; c < scaled.length; c++) {
-          const it = scaled[c];
-          const xCell = lineItemContentStartX + c * (cellW + GRID_GUTTER);
-          const xImg = xCell + Math.floor((cellW - it.w) / 2); // center horizontally in cell
-          const yTop = pos.y;
-          const yImg = yTop - it.h;
-          currentPage.drawImage(it.img, {
-            x: xImg,
-            y: yImg,
-            width: it.w,
-            height: it.h,
-          });
-          if (it.caption) {
-            const capY = yImg - 10;
-            currentPage.drawText(it.caption, {
-              x: xCell,
-              y: capY,
-              size: 9,
-              font: italicFont,
-              color: rgb(0, 0, 0),
-            });
-          }
-        }
-        pos.y -= rowHeight + rowSpacing;
-        i += columns;
-      }
-    }
-  }
-
-  // Video links: render as "Video link n: <url>" (clickable, blue, underlined), allowing wraps at common URL separators
-  const videos = Array.isArray(comment.videos)
-    ? comment.videos.filter((v) => v && v.url)
-    : [];
-  if (videos.length > 0) {
-    const urlSeparators = [" ", "/", ":", "?", "&", "=", "-", "_", "."];
-    for (let i = 0; i < videos.length; i++) {
-      const v = videos[i];
-      const line = `Video link ${i + 1}: ${v.url}`;
-      await drawWrapped(
-        line,
-        lineItemContentStartX,
-        contentWidth,
-        10,
-        12,
-        romanFont,
-        rgb(0, 0, 1),
-        urlSeparators,
-        v.url,
-        true
-      );
-    }
-  }
-
-  // Bottom separator line after this comment with equal gap above and below
-  pos.y -= SEPARATOR_GAP;
-  currentPage = await ensureSpace(
-    doc,
-    pos,
-    currentPage,
-    font,
-    LINE_THICKNESS,
-    headerText
-  );
-  currentPage.drawRectangle({
-    x: lineStartX,
-    y: pos.y,
-    width: lineWidth,
-    height: LINE_THICKNESS,
-    color: rgb(0.85, 0.85, 0.85),
-  });
-  pos.y -= SEPARATOR_GAP;
-  return currentPage;
-}
-
-// Pre-download all images in parallel for faster processing
-async function preloadAllImages(sections) {
-  const imageUrls = new Set();
-
-  // Collect all photo URLs from all comments
-  for (const section of sections) {
-    for (const lineItem of section.lineItems || []) {
-      for (const comment of lineItem.comments || []) {
-        if (comment.photos && Array.isArray(comment.photos)) {
-          for (const photo of comment.photos) {
-            if (photo.url) {
-              imageUrls.add(photo.url);
-            }
-          }
-        }
-      }
-    }
-  }
-
-  const urls = Array.from(imageUrls);
-  if (urls.length === 0) return 0;
-
-  console.log(`🚀 Pre-loading ${urls.length} images...`);
-  const startTime = Date.now();
-
-  // Step 1: Download ALL images in parallel (network I/O - no limit)
-  console.log(`   📥 Downloading ${urls.length} images...`);
-  const downloadStart = Date.now();
-  await Promise.allSettled(urls.map((url) => downloadImageRaw(url)));
-  const downloadTime = ((Date.now() - downloadStart) / 1000).toFixed(2);
-  console.log(`   ✓ Downloaded in ${downloadTime}s`);
-
-  // Step 2: Compress images in batches (CPU intensive - limit concurrency)
-  const COMPRESS_BATCH = 15; // Compress in reasonable batches
-  const rawUrls = Array.from(imageCache.keys());
-  console.log(`   🗜️  Compressing ${rawUrls.length} images...`);
-  const compressStart = Date.now();
-
-  for (let i = 0; i < rawUrls.length; i += COMPRESS_BATCH) {
-    const batch = rawUrls.slice(i, i + COMPRESS_BATCH);
-    await Promise.allSettled(batch.map((url) => compressImageInCache(url)));
-  }
-
-  const compressTime = ((Date.now() - compressStart) / 1000).toFixed(2);
-  console.log(`   ✓ Compressed in ${compressTime}s`);
-
-  const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
-  console.log(`   ✅ Total: ${loadTime}s (${imageCache.size} images ready)`);
+const { preloadImages, collectImageUrls } = require("./report-media");
+const {
+  PROFILES,
+  createLayout,
+  addPage,
+  renderSections,
+  finishPages,
+  reportHeaderText,
+  throwIfAborted,
+} = require("./report-layout");
+const {
+  renderDeficiencySummary,
+  finishDeficiencySummary,
+} = require("./deficiency-summary");
+const {
+  tocEntriesFromAnchors,
+  renderReportTableOfContents,
+  finishReportTableOfContents,
+} = require("./create-table-of-contents");
+const { addOutline, outlineFromAnchors } = require("./report-outline");
+const {
+  resolveEmptyItemPolicy,
+  recordEmptyItemPolicy,
+} = require("./empty-line-items");
+const { getFormTemplate } = require("./form-templates");
+const { resolveBranding } = require("./account-branding");
+const {
+  isDraftReport,
+  stampDraftWatermark,
+  assertFinalizable,
+} = require("./report-finalize");
+const {
+  resolveSignature,
+  renderSignatureBlock,
+  assertSignable,
+  saveReport,
+} = require("./report-signature");
+const { secureAndRedact, protectPdf } = require("./report-security");
+const { renderInvoicePage } = require("./invoice-page");
+const {
+  createWarnings,
+  finishWarnings,
+  setWarningHeaders,
+} = require("./report-warnings");
 
-  return imageCache.size;
+// Build a filesystem-safe PDF filename from the property address and inspection date
+function reportFileName(inspection) {
+  const addr = inspection?.address || {};
+  const dateMs =
+    inspection?.schedule?.date || inspection?.bookingFormData?.schedule?.date;
+  const d = dateMs ? new Date(dateMs) : null;
+  const isoDate = d && !isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : "";
+  const base = [addr.fullAddress || addr.street, isoDate]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 100);
+  return `${base || "inspection-report"}.pdf`;
 }
 
-// Download image without compression (fast network I/O)
-async function downloadImageRaw(url) {
-  if (imageCache.has(url)) {
-    return imageCache.get(url);
-  }
-
-  const TIMEOUT_MS = 3000; // Reduced timeout for faster failures
-  return new Promise((resolve) => {
-    try {
-      const client = url.startsWith("https") ? https : http;
-      const timeoutHandle = setTimeout(() => {
-        try {
-          req.destroy();
-        } catch {}
-        resolve(null);
-      }, TIMEOUT_MS);
-
-      const req = client.get(
-        url,
-        {
-          headers: { "User-Agent": "Mozilla/5.0" },
-        },
-        (res) => {
-          const statusCode = res.statusCode || 0;
-          if (statusCode < 200 || statusCode >= 300) {
-            clearTimeout(timeoutHandle);
-            res.resume();
-            return resolve(null);
-          }
-          const chunks = [];
-          res.on("data", (chunk) => chunks.push(chunk));
-          res.on("end", () => {
-            clearTimeout(timeoutHandle);
-            try {
-              const buffer = Buffer.concat(chunks);
-              imageCache.set(url, { raw: buffer, compressed: null });
-              resolve(buffer);
-            } catch (err) {
-              resolve(null);
-            }
-          });
-          res.on("error", () => {
-            clearTimeout(timeoutHandle);
-            resolve(null);
-          });
-        }
-      );
-
-      req.on("error", () => {
-        clearTimeout(timeoutHandle);
-        resolve(null);
-      });
-
-      req.end();
-    } catch {
-      return resolve(null);
-    }
+async function buildTrecReport(inspection, options = {}) {
+  const { signal, onProgress = () => {} } = options;
+  const prepared = secureAndRedact(options, inspection, {
+    fillable: Boolean(options.editable),
   });
-}
-
-// Compress image that's already in cache (CPU intensive)
-async function compressImageInCache(url) {
-  const cached = imageCache.get(url);
-  if (!cached || !cached.raw || cached.compressed) return;
-
-  try {
-    const img = await Jimp.read(cached.raw);
-    const maxSide = Math.max(img.bitmap.width, img.bitmap.height);
-    if (maxSide > IMAGE_MAX_DIM) {
-      const scale = IMAGE_MAX_DIM / maxSide;
-      img.resize(
-        Math.round(img.bitmap.width * scale),
-        Math.round(img.bitmap.height * scale)
-      );
-    }
-    img.background(0xffffffff);
-    const jpgBuf = await img
-      .quality(IMAGE_JPEG_QUALITY)
-      .getBufferAsync(Jimp.MIME_JPEG);
-    cached.compressed = jpgBuf;
-  } catch (err) {
-    // If compression fails, mark raw as compressed (use original)
-    cached.compressed = cached.raw;
-  }
-}
-
-async function fetchAndEmbedImage(url, doc) {
-  // Get cached data
-  const cached = imageCache.get(url);
-
-  if (!cached) {
-    // Fallback: download and compress inline
-    await downloadImageRaw(url);
-    await compressImageInCache(url);
-    const newCached = imageCache.get(url);
-    if (!newCached) return null;
-  }
-
-  const finalCached = imageCache.get(url);
-  if (!finalCached) return null;
-
-  const buffer = finalCached.compressed || finalCached.raw;
-  if (!buffer) return null;
-
-  try {
-    // Try to embed as JPEG first (most common after compression)
-    try {
-      return await doc.embedJpg(buffer);
-    } catch (jpgErr) {
-      // Fallback to PNG if it's not a valid JPEG
-      try {
-        return await doc.embedPng(buffer);
-      } catch (pngErr) {
-        return null;
-      }
-    }
-  } catch (err) {
-    return null;
-  }
-}
-
-async function createPdf(req, res) {
-  const inspection = req?.body?.inspection || {};
+  const security = prepared.security;
+  inspection = prepared.inspection;
   const sections = inspection?.sections || [];
+  const profile = PROFILES.trec;
+  // State form (header page, legend, status boxes, footer); unknown ids
+  // fail here, before any images are fetched
+  const formTemplate = getFormTemplate(options.formTemplate);
+  assertFinalizable(inspection, options);
+  assertSignable(options);
+  const branding = resolveBranding(options, inspection);
 
   // Pre-load all images in parallel for massive speed improvement
-  await preloadAllImages(sections);
+  if (options.includeImages !== false) {
+    onProgress(0, "images");
+    await preloadImages(collectImageUrls({ sections }), profile.image);
+    throwIfAborted(signal);
+  }
 
-  // Build dynamic header: address + date
-  const addr = inspection?.address || {};
-  const fullAddr =
-    addr.fullAddress ||
-    [addr.street, addr.city, addr.state, addr.zipcode]
-      .filter(Boolean)
-      .join(", ")
-      .replace(/,\s*,/g, ",")
-      .replace(/,\s*$/, "");
-  const dateMs =
-    inspection?.schedule?.date || inspection?.bookingFormData?.schedule?.date;
-  const dateStr = formatDate(dateMs);
-  const headerText =
-    fullAddr || dateStr
-      ? `Report Identification: ${fullAddr}${
-          fullAddr && dateStr ? " - " : ""
-        }${dateStr}`
-      : "Report Identification";
   const pdfDoc = await PDFDocument.create();
+  const warnings = createWarnings();
 
-  // Prepend TREC header pages at the beginning of the final PDF
+  // Prepend the form's header pages at the beginning of the final PDF
   try {
     const trecHeaderBytes = await buildTrecHeaderPdf(
       { inspection },
-      { includeFooters: false }
+      {
+        includeFooters: false,
+        fontFamily: options.fontFamily,
+        formTemplate,
+        branding,
+        reportDoc: pdfDoc,
+      }
     );
     if (trecHeaderBytes) {
       const headerDoc = await PDFDocument.load(trecHeaderBytes);
@@ -696,176 +113,197 @@ async function createPdf(req, res) {
     }
   } catch (e) {
     console.warn(
-      "TREC header generation failed, continuing without header pages:",
+      "Form header generation failed, continuing without header pages:",
       e?.message || e
     );
-  }
-  const timesRomanFont = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-  const form = pdfDoc.getForm();
-  let page = pdfDoc.addPage();
-  let { width, height } = page.getSize();
-  let pos = { y: await addPageTemplate(page, timesRomanFont, headerText) };
-  let currentPage = page;
-  const margin = 20;
-  for (const [sectionIdx, section] of sections.entries()) {
-    // Ensure space for section header
-    currentPage = await ensureSpace(
-      pdfDoc,
-      pos,
-      currentPage,
-      timesRomanFont,
-      40,
-      headerText
+    warnings.add(
+      "header-pages-failed",
+      `Form header pages left out: ${e?.message || e}`
     );
-    currentPage.drawText(intToRoman(sectionIdx + 1) + " " + section.name, {
-      x: width / 2 - timesRomanFont.widthOfTextAtSize(section.name, 12) / 2,
-      y: pos.y,
-      size: 12,
-      font: timesRomanFont,
-      color: rgb(0, 0, 0),
+  }
+
+  const headerPageCount = pdfDoc.getPageCount();
+  const headerText = reportHeaderText(inspection);
+  const emptyItems = resolveEmptyItemPolicy(
+    options,
+    inspection,
+    profile.emptyItemPolicy
+  );
+  recordEmptyItemPolicy(pdfDoc, emptyItems);
+  const layout = await createLayout(pdfDoc, {
+    profile: "trec",
+    headerText,
+    fontFamily: options.fontFamily,
+    includeImages: options.includeImages,
+    emptyItems,
+    formTemplate,
+    editable: options.editable,
+    warnings,
+  });
+  addPage(layout);
+  await renderSections(layout, sections, { signal, onProgress });
+  // Optional signature block after the last section
+  const signature = resolveSignature(options, inspection, branding);
+  const signatureMark = signature
+    ? await renderSignatureBlock(layout, signature)
+    : null;
+  // Optional invoice at the very end (nothing when there is no fee)
+  const invoice = options.includeInvoice
+    ? await renderInvoicePage(pdfDoc, inspection, {
+        profile: "trec",
+        headerText,
+        fontFamily: options.fontFamily,
+        formTemplate,
+        branding,
+        warnings,
+      })
+    : null;
+
+  onProgress(1, "finalizing");
+  // Optional summary goes right after the header pages, linking into the body
+  let summary = null;
+  if (options.includeSummary) {
+    summary = await renderDeficiencySummary(pdfDoc, sections, layout.anchors, {
+      profile: "trec",
+      headerText,
+      fontFamily: options.fontFamily,
+      insertAt: headerPageCount,
+      formTemplate,
+      warnings,
     });
-    pos.y -= 30;
-    for (const [index, lineItem] of (section.lineItems || []).entries()) {
-      // Ensure space for line-item header + checkboxes
-      currentPage = await ensureSpace(
-        pdfDoc,
-        pos,
-        currentPage,
-        timesRomanFont,
-        70,
-        headerText
-      );
-      addCheckBoxToLineItem(lineItem, currentPage, form, margin, pos.y);
-      addLineHeaderForLineItem(
-        lineItem,
-        currentPage,
-        timesRomanFont,
-        margin,
-        pos.y + 7,
-        index
-      );
-      pos.y -= 5;
-      // Ensure space for Comments: label plus at least one line to avoid orphaning the label at page bottom
-      currentPage = await ensureSpace(
-        pdfDoc,
-        pos,
-        currentPage,
-        timesRomanFont,
-        32,
-        headerText
-      );
-      await addCommentsTitleToLineItem(
-        lineItem,
-        currentPage,
-        timesRomanFont,
-        margin,
-        pos.y,
-        pdfDoc
-      );
-      pos.y -= 12;
-      const defaultComments = [
-        {
-          label: "General Observation",
-          content:
-            "No specific issues or concerns were observed during the inspection of this item.",
-        },
-        {
-          label: "Maintenance Note",
-          content:
-            "Regular maintenance and periodic inspection is recommended to ensure optimal performance and longevity.",
-        },
-      ];
-      const commentsToUse =
-        lineItem?.comments?.length > 0 ? lineItem.comments : defaultComments;
-      for (const [commentIndex, comment] of commentsToUse.entries()) {
-        // Let the renderer handle pagination line-by-line for text-only comments to avoid large whitespace.
-        // We don't force-fit the entire comment block; we only ensure per-line inside the renderer.
-        currentPage = await addCommentsToLineItem(
-          comment,
-          currentPage,
-          timesRomanFont,
-          margin,
-          pos,
-          pdfDoc,
-          commentIndex,
-          headerText
-        );
-        // Reduce extra whitespace for text-only comments; keep a small gap for image comments
-        const hasPhotos =
-          Array.isArray(comment?.photos) && comment.photos.length > 0;
-        pos.y -= hasPhotos ? 10 : 0;
+  }
+  // Optional TOC goes in front of the summary; it is laid out once the body
+  // exists and numbered once every page is in place
+  let toc = null;
+  if (options.includeTOC) {
+    const summaryEntry = summary && {
+      title: "Summary of Deficiencies",
+      level: 0,
+      page: summary.layout.pages[0],
+      y: null,
+    };
+    toc = await renderReportTableOfContents(
+      pdfDoc,
+      [
+        ...(summaryEntry ? [summaryEntry] : []),
+        ...tocEntriesFromAnchors(profile, layout.anchors, {
+          includeLineItems: options.tocLineItems,
+        }),
+      ],
+      {
+        profile: "trec",
+        headerText,
+        fontFamily: options.fontFamily,
+        insertAt: headerPageCount,
+        formTemplate,
+        warnings,
       }
-      // Keep a modest gap between line items
-      pos.y -= 10;
-    }
-    pos.y -= 20;
+    );
   }
-  // Add footer to every page
-  const pages = pdfDoc.getPages();
-  const totalPages = pages.length;
-  const footerFont = timesRomanFont;
-  for (let i = 0; i < totalPages; i++) {
-    const page = pages[i];
-    const { width } = page.getSize();
-    // Page number centered, smaller font
-    page.drawText(`Page ${i + 1} of ${totalPages}`, {
-      x:
-        width / 2 -
-        footerFont.widthOfTextAtSize(`Page ${i + 1} of ${totalPages}`, 12) / 2,
-      y: 35,
-      size: 12,
-      font: footerFont,
-      color: rgb(0, 0, 0),
-    });
-    // Left footer (aligned)
-    page.drawText("REI 7-6 (8/9/2021)", {
-      x: 40,
-      y: 20,
-      size: 9,
-      font: footerFont,
-      color: rgb(0, 0, 0),
-    });
-    // Right footer (aligned)
-    const footerTextLeft =
-      "Promulgated by the Texas Real Estate Commission - (512) 936-3000 - ";
-    const footerTextRight = "www.trec.texas.gov";
-    const leftTextWidth = footerFont.widthOfTextAtSize(footerTextLeft, 9);
-    const rightTextWidth = footerFont.widthOfTextAtSize(footerTextRight, 9);
-    const totalFooterWidth = leftTextWidth + rightTextWidth;
-    const startX = width / 2 - totalFooterWidth / 2;
-    // Draw left part of footer
-    page.drawText(footerTextLeft, {
-      x: startX,
-      y: 20,
-      size: 9,
-      font: footerFont,
-      color: rgb(0, 0, 0),
-    });
-    // Draw www.trec.texas.gov as a clickable link
-    page.drawText(footerTextRight, {
-      x: startX + leftTextWidth,
-      y: 20,
-      size: 9,
-      font: footerFont,
-      color: rgb(0, 0, 1), // blue for link
-      underline: true,
-      link: "https://www.trec.texas.gov",
+  // Footer (page X of Y + form line) on every page, header pages included
+  finishPages(layout);
+  if (summary) finishDeficiencySummary(summary);
+  if (toc) finishReportTableOfContents(toc);
+  addOutline(pdfDoc, [
+    toc && {
+      title: "Table of Contents",
+      page: toc.layout.pages[0],
+      y: null,
+    },
+    summary && {
+      title: "Summary of Deficiencies",
+      page: summary.layout.pages[0],
+      y: null,
+    },
+    ...outlineFromAnchors(layout),
+    signatureMark && { title: "Inspector Signature", ...signatureMark },
+    invoice && { title: "Invoice", page: invoice.layout.pages[0], y: null },
+  ]);
+  // options.strict fails here, before the document is finished
+  finishWarnings(warnings, pdfDoc, options);
+  // Flatten form fields so checkboxes are not editable in the final PDF,
+  // unless the report is meant to be filled in and read back (/importEdits)
+  if (!options.editable) {
+    try {
+      pdfDoc.getForm().flatten();
+    } catch {}
+  }
+  if (isDraftReport(inspection, options)) {
+    await stampDraftWatermark(pdfDoc, options);
+  }
+  // Signed (options.sign) or encrypted (options.security) last, after every
+  // page is final
+  const pdfBytes = await protectPdf(
+    await saveReport(pdfDoc, options, {
+      name: signature?.name || inspection?.inspector?.name,
+    }),
+    security,
+    { keepForms: Boolean(options.editable) }
+  );
+  return {
+    pdfBytes,
+    pageCount: pdfDoc.getPageCount(),
+    fileName: reportFileName(inspection),
+    warnings: warnings.list,
+  };
+}
+
+// Write the PDF under the output directory with a unique per-request name so
+// concurrent requests never overwrite each other.
+function storePdf(pdfBytes, fileName) {
+  const outputDir = path.resolve(
+    process.env.PDF_OUTPUT_DIR || path.join(process.cwd(), "output")
+  );
+  fs.mkdirSync(outputDir, { recursive: true });
+  const unique = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const outPath = path.join(
+    outputDir,
+    fileName.replace(/\.pdf$/, `-${unique}.pdf`)
+  );
+  fs.writeFileSync(outPath, pdfBytes);
+  return outPath;
+}
+
+async function createPdf(req, res) {
+  const inspection = req?.body?.inspection || {};
+  const { pdfBytes, pageCount, fileName, warnings } = await buildTrecReport(
+    inspection,
+    req?.body?.options || {}
+  );
+
+  // ?store=true keeps the old write-to-disk behaviour, but with a unique path
+  if (String(req?.query?.store).toLowerCase() === "true") {
+    const outPath = storePdf(pdfBytes, fileName);
+    return res.json({
+      ok: true,
+      message: "pdf created successfully",
+      path: outPath,
+      pageCount,
+      warnings,
     });
   }
-  // Flatten form fields so checkboxes are not editable in the final PDF
-  try {
-    pdfDoc.getForm().flatten();
-  } catch {}
-  const finalPdfBytes = await pdfDoc.save();
-  fs.writeFileSync(path.join(process.cwd(), "output.pdf"), finalPdfBytes);
-  res.json({ ok: true, message: "pdf created successfully" });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  res.setHeader("X-Report-Pages", pageCount);
+  setWarningHeaders(res, warnings);
+  res.send(Buffer.from(pdfBytes));
 }
 
 function generatePdf(req, res) {
   createPdf(req, res).catch((err) => {
     console.error("createPdf error", err);
-    res.status(500).json({ ok: false, error: "Failed to create PDF" });
+    // Bad options (e.g. an unknown formTemplate) are the caller's to fix
+    res.status(err.statusCode || 500).json({
+      ok: false,
+      error: "Failed to create PDF",
+      details: err.message,
+      problems: err.problems,
+      warnings: err.warnings,
+    });
   });
 }
 
 module.exports = generatePdf;
+module.exports.buildTrecReport = buildTrecReport;
+module.exports.reportFileName = reportFileName;
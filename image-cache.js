@@ -0,0 +1,286 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Disk image cache
+ * Downloaded photos and their compressed variants outlive the process, so
+ * regenerating a report after a restart reads them from disk instead of
+ * fetching every photo again. Every renderer goes through report-media.js
+ * and so shares one cache, across processes too (server and worker.js).
+ *
+ * Layout under IMAGE_CACHE_DIR:
+ * - raw/<sha256>                      downloaded bytes, by content hash, so
+ *                                     one photo under two URLs is kept once
+ * - compressed/<sha256>-<maxDim>-<quality>.jpg
+ * - urls/<sha256 of the URL>.json     { url, hash, etag, lastModified,
+ *                                     checkedAt }
+ *
+ * A file's mtime is its last use; past IMAGE_CACHE_MAX_MB the least recently
+ * used files go first. Cache errors are logged and never fail a report.
+ */
+
+const IMAGE_CACHE_DIR = path.resolve(
+  process.env.IMAGE_CACHE_DIR || path.join(process.cwd(), "cache", "images")
+);
+// 0 turns the disk cache off
+const IMAGE_CACHE_MAX_BYTES =
+  Math.max(0, Number(process.env.IMAGE_CACHE_MAX_MB ?? 512) || 0) * 1024 * 1024;
+// How long a URL is used without asking the server whether it changed
+const IMAGE_CACHE_REVALIDATE_MS =
+  Math.max(0, Number(process.env.IMAGE_CACHE_REVALIDATE_S ?? 3600) || 0) * 1000;
+// Sweeps go this far below the cap, so they do not run on every write
+const SWEEP_TARGET = 0.9;
+
+const RAW_DIR = path.join(IMAGE_CACHE_DIR, "raw");
+const COMPRESSED_DIR = path.join(IMAGE_CACHE_DIR, "compressed");
+const URLS_DIR = path.join(IMAGE_CACHE_DIR, "urls");
+
+let usage = null; // Promise<number>: bytes in raw/ and compressed/
+let sweeping = null;
+let resweep = false;
+let warned = false;
+
+function enabled() {
+  return IMAGE_CACHE_MAX_BYTES > 0;
+}
+
+function warn(err) {
+  if (warned) return;
+  warned = true;
+  console.warn("Image cache unavailable, continuing without it:", err.message);
+}
+
+function contentHash(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function urlPath(url) {
+  return path.join(URLS_DIR, `${contentHash(String(url))}.json`);
+}
+
+function rawPath(hash) {
+  return path.join(RAW_DIR, hash);
+}
+
+function compressedPath(hash, compression) {
+  return path.join(
+    COMPRESSED_DIR,
+    `${hash}-${compression.maxDim}-${compression.quality}.jpg`
+  );
+}
+
+// Files in raw/ and compressed/ with their size and last use
+async function listFiles() {
+  const files = [];
+  for (const dir of [RAW_DIR, COMPRESSED_DIR]) {
+    let names = [];
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      try {
+        const stat = await fs.promises.stat(path.join(dir, name));
+        if (stat.isFile()) {
+          files.push({
+            file: path.join(dir, name),
+            size: stat.size,
+            used: stat.mtimeMs,
+          });
+        }
+      } catch {}
+    }
+  }
+  return files;
+}
+
+function currentUsage() {
+  if (!usage) {
+    usage = listFiles().then((files) =>
+      files.reduce((sum, f) => sum + f.size, 0)
+    );
+  }
+  return usage;
+}
+
+// Drop least recently used files until under the target; URL entries whose
+// bytes are gone are dropped with them
+async function sweep() {
+  const files = (await listFiles()).sort((a, b) => a.used - b.used);
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+  const target = IMAGE_CACHE_MAX_BYTES * SWEEP_TARGET;
+  for (const { file, size } of files) {
+    if (total <= target) break;
+    try {
+      await fs.promises.unlink(file);
+      total -= size;
+    } catch {}
+  }
+  usage = Promise.resolve(total);
+
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(URLS_DIR);
+  } catch {}
+  for (const name of entries) {
+    const file = path.join(URLS_DIR, name);
+    try {
+      const { hash } = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      await fs.promises.access(rawPath(hash));
+    } catch {
+      await fs.promises.unlink(file).catch(() => {});
+    }
+  }
+}
+
+// Write via a temporary file, so readers never see half a file
+async function writeAtomic(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+}
+
+// Size of a cached file, or 0 when it is not there
+async function fileSize(file) {
+  try {
+    return (await fs.promises.stat(file)).size;
+  } catch {
+    return 0;
+  }
+}
+
+// Write a counted file; a file it replaces stops counting
+async function writeCounted(file, buffer) {
+  await currentUsage(); // counted before the write, not with it
+  const replaced = await fileSize(file);
+  await writeAtomic(file, buffer);
+  await addUsage(buffer.length - replaced);
+}
+
+async function addUsage(bytes) {
+  const total = (await currentUsage()) + bytes;
+  usage = Promise.resolve(total);
+  if (total <= IMAGE_CACHE_MAX_BYTES) return;
+  // Files written during a sweep may have been listed too late; sweep again
+  if (sweeping) {
+    resweep = true;
+    return;
+  }
+  sweeping = (async () => {
+    do {
+      resweep = false;
+      await sweep();
+    } while (resweep);
+  })()
+    .catch(warn)
+    .finally(() => {
+      sweeping = null;
+    });
+}
+
+// Read a file and mark it used; null when it is not there
+async function readTouched(file) {
+  try {
+    const data = await fs.promises.readFile(file);
+    const now = new Date();
+    fs.promises.utimes(file, now, now).catch(() => {});
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What the cache knows about a URL, or null. Only URLs whose bytes are still
+ * cached are returned, so a revalidation answered with 304 can be served.
+ * @returns {Promise<{ url, hash, etag, lastModified, checkedAt, fresh }|null>}
+ */
+async function lookupUrl(url) {
+  if (!enabled()) return null;
+  try {
+    const entry = JSON.parse(await fs.promises.readFile(urlPath(url), "utf8"));
+    if (entry.url !== url) return null;
+    await fs.promises.access(rawPath(entry.hash));
+    return {
+      ...entry,
+      fresh: Date.now() - (entry.checkedAt || 0) < IMAGE_CACHE_REVALIDATE_MS,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// The downloaded bytes of a URL entry (null when evicted meanwhile)
+async function readRaw(entry) {
+  if (!enabled() || !entry) return null;
+  return readTouched(rawPath(entry.hash));
+}
+
+/**
+ * Store a download and its validators.
+ * @param {Object} validators - { etag, lastModified } from the response
+ */
+async function storeRaw(url, buffer, validators = {}) {
+  if (!enabled()) return;
+  try {
+    const hash = contentHash(buffer);
+    const file = rawPath(hash);
+    // Content-addressed: bytes already stored are the same bytes
+    if ((await fileSize(file)) === 0) await writeCounted(file, buffer);
+    await writeAtomic(
+      urlPath(url),
+      JSON.stringify({
+        url,
+        hash,
+        etag: validators.etag || null,
+        lastModified: validators.lastModified || null,
+        checkedAt: Date.now(),
+      })
+    );
+  } catch (err) {
+    warn(err);
+  }
+}
+
+// The server confirmed the cached bytes (304): fresh again for a while
+async function markRevalidated(entry) {
+  if (!enabled() || !entry) return;
+  const { fresh, ...stored } = entry;
+  try {
+    await writeAtomic(
+      urlPath(entry.url),
+      JSON.stringify({ ...stored, checkedAt: Date.now() })
+    );
+  } catch (err) {
+    warn(err);
+  }
+}
+
+async function readCompressed(hash, compression) {
+  if (!enabled()) return null;
+  return readTouched(compressedPath(hash, compression));
+}
+
+async function storeCompressed(hash, compression, buffer) {
+  if (!enabled()) return;
+  try {
+    // Recompressed after the memory cache let it go: replaces the same file
+    await writeCounted(compressedPath(hash, compression), buffer);
+  } catch (err) {
+    warn(err);
+  }
+}
+
+module.exports = {
+  IMAGE_CACHE_DIR,
+  contentHash,
+  lookupUrl,
+  readRaw,
+  storeRaw,
+  markRevalidated,
+  readCompressed,
+  storeCompressed,
+};
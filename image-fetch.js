@@ -0,0 +1,321 @@
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+
+/**
+ * Image fetcher
+ * Every photo download goes through one fetcher, so a large report cannot
+ * open hundreds of connections to the storage host at once:
+ * - at most `concurrency` requests in flight, `hostConcurrency` per host
+ * - timeouts, 5xx answers and dropped connections are retried with
+ *   exponential backoff
+ * - redirects are followed (up to `maxRedirects`)
+ * - responses over `maxBytes` are cut off
+ * - only hosts in `allowedHosts` are fetched ("*" allows any), and never
+ *   private, loopback or link-local addresses, checked on the address
+ *   a host name resolves to and again on every redirect (`allowPrivate`
+ *   lifts this, for local stub servers)
+ * - a failed fetch says why (`reason`), e.g. "timeout" or "http 404"
+ *
+ * createImageFetcher(options) builds one with its own limits, e.g. for a
+ * local stub server; report-media.js uses the default instance configured
+ * from the environment.
+ */
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+// Connection failures worth another try; refused or unknown hosts are not
+const RETRYABLE_ERRORS = ["ECONNRESET", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"];
+
+// Addresses a URL from a request body must never reach: this host, the
+// private networks it may sit in, link-local (cloud metadata) and multicast
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+  // Prefixes that carry an IPv4 address inside: NAT64, 6to4, Teredo
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["2002::", 16],
+  ["2001::", 32],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// BlockList matches IPv4-mapped IPv6 (::ffff:127.0.0.1) by its IPv4 rules
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function hostList(value) {
+  return String(value || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Where photos are hosted unless IMAGE_ALLOWED_HOSTS says otherwise
+const DEFAULT_ALLOWED_HOSTS = "firebasestorage.googleapis.com";
+const IMAGE_ALLOWED_HOSTS = hostList(
+  process.env.IMAGE_ALLOWED_HOSTS ?? DEFAULT_ALLOWED_HOSTS
+);
+
+// "example.com" matches that host only, "*.example.com" its subdomains and
+// "*" any host; an empty list allows none
+function isAllowedHost(hostname, allowedHosts) {
+  if (allowedHosts.includes("*")) return true;
+  const host = hostname.toLowerCase();
+  return allowedHosts.some((allowed) =>
+    allowed.startsWith("*.")
+      ? host.endsWith(allowed.slice(1))
+      : host === allowed
+  );
+}
+
+// dns.lookup that refuses private addresses, so the address checked is the
+// one connected to (a host name cannot resolve differently in between)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      return callback(
+        new Error(`${hostname} resolves to blocked address ${blocked.address}`)
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+const DEFAULTS = {
+  concurrency: Number(process.env.IMAGE_FETCH_CONCURRENCY) || 16,
+  hostConcurrency: Number(process.env.IMAGE_FETCH_HOST_CONCURRENCY) || 6,
+  retries: Number(process.env.IMAGE_FETCH_RETRIES ?? 2) || 0,
+  backoffMs: 250,
+  timeoutMs: Number(process.env.IMAGE_TIMEOUT_MS) || 5000,
+  maxBytes: (Number(process.env.IMAGE_MAX_MB) || 25) * 1024 * 1024,
+  maxRedirects: 5,
+  allowedHosts: IMAGE_ALLOWED_HOSTS,
+  allowPrivate: process.env.IMAGE_ALLOW_PRIVATE_HOSTS === "true",
+  userAgent: "Mozilla/5.0",
+};
+
+// Runs at most `max` tasks at a time, the rest in order of arrival
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * One GET, no redirects or retries.
+ * @returns {Promise<{ statusCode, headers, body, reason, retryable }>}
+ */
+function requestOnce(
+  url,
+  headers,
+  { timeoutMs, maxBytes, userAgent, allowPrivate }
+) {
+  return new Promise((resolve) => {
+    let req;
+    let settled = false;
+    const done = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({
+        statusCode: null,
+        headers: {},
+        body: null,
+        reason: null,
+        retryable: false,
+        ...result,
+      });
+    };
+    const timer = setTimeout(() => {
+      done({ reason: "timeout", retryable: true });
+      req?.destroy();
+    }, timeoutMs);
+
+    const client = url.protocol === "https:" ? https : http;
+    try {
+      req = client.get(
+        url,
+        {
+          headers: { "User-Agent": userAgent, ...headers },
+          ...(allowPrivate ? {} : { lookup: publicLookup }),
+        },
+        (res) => {
+          const statusCode = res.statusCode || 0;
+          const meta = { statusCode, headers: res.headers };
+          if (statusCode < 200 || statusCode >= 300) {
+            res.resume();
+            return done({
+              ...meta,
+              reason: statusCode === 304 ? null : `http ${statusCode}`,
+              retryable: statusCode >= 500,
+            });
+          }
+          const tooLarge = { ...meta, reason: `larger than ${maxBytes} bytes` };
+          if (Number(res.headers["content-length"]) > maxBytes) {
+            res.destroy();
+            return done(tooLarge);
+          }
+          const chunks = [];
+          let size = 0;
+          res.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+              res.destroy();
+              return done(tooLarge);
+            }
+            chunks.push(chunk);
+          });
+          res.on("end", () => done({ ...meta, body: Buffer.concat(chunks) }));
+          res.on("error", (err) =>
+            done({ ...meta, reason: err.code || err.message, retryable: true })
+          );
+        }
+      );
+    } catch (err) {
+      return done({ reason: err.code || err.message });
+    }
+    req.on("error", (err) =>
+      done({
+        reason: err.code || err.message,
+        retryable: RETRYABLE_ERRORS.includes(err.code),
+      })
+    );
+  });
+}
+
+/**
+ * @param {Object} [options] - { concurrency, hostConcurrency, retries,
+ *   backoffMs, timeoutMs, maxBytes, maxRedirects, allowedHosts: string[],
+ *   allowPrivate, userAgent }
+ * @returns {(url: string, opts?: { headers }) => Promise<{ statusCode,
+ *   headers, body, url, attempts, reason }>} reason is null for 2xx and 304
+ *   answers; body is set for 2xx only
+ */
+function createImageFetcher(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  settings.allowedHosts = settings.allowedHosts.map((h) => h.toLowerCase());
+  const overall = createLimiter(settings.concurrency);
+  const hosts = new Map(); // host -> limiter
+
+  // Per-host slot first, then a global one, so a busy host queues on its own
+  const limited = (url, task) => {
+    if (!hosts.has(url.host)) {
+      hosts.set(url.host, createLimiter(settings.hostConcurrency));
+    }
+    return hosts.get(url.host)(() => overall(task));
+  };
+
+  return async function fetchImageUrl(href, { headers = {} } = {}) {
+    let attempts = 0; // requests made, redirects and retries included
+    let tries = 0; // requests for the current URL
+    let redirects = 0;
+    const failed = (url, reason, res = {}) => ({
+      statusCode: null,
+      headers: {},
+      body: null,
+      ...res,
+      url,
+      attempts,
+      reason,
+    });
+
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      return failed(href, "invalid URL");
+    }
+    for (;;) {
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return failed(url.href, `unsupported protocol ${url.protocol}`);
+      }
+      if (!isAllowedHost(url.hostname, settings.allowedHosts)) {
+        return failed(
+          url.href,
+          `host ${url.hostname} is not in IMAGE_ALLOWED_HOSTS`
+        );
+      }
+      // Addresses written into the URL are never looked up; check them here
+      const literal = url.hostname.replace(/^\[(.*)\]$/, "$1");
+      if (!settings.allowPrivate && isPrivateAddress(literal)) {
+        return failed(url.href, `blocked address ${literal}`);
+      }
+      attempts++;
+      tries++;
+      const current = url;
+      const { retryable, ...res } = await limited(current, () =>
+        requestOnce(current, headers, settings)
+      );
+
+      const location = res.headers.location;
+      if (REDIRECT_CODES.includes(res.statusCode) && location) {
+        if (++redirects > settings.maxRedirects) {
+          return failed(url.href, "too many redirects", res);
+        }
+        try {
+          url = new URL(location, url);
+        } catch {
+          return failed(url.href, "invalid redirect", res);
+        }
+        tries = 0;
+        continue;
+      }
+      if (retryable && tries <= settings.retries) {
+        await sleep(settings.backoffMs * 2 ** (tries - 1));
+        continue;
+      }
+      return { ...res, url: url.href, attempts };
+    }
+  };
+}
+
+module.exports = {
+  IMAGE_ALLOWED_HOSTS,
+  createImageFetcher,
+  fetchImageUrl: createImageFetcher(),
+};
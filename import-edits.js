@@ -0,0 +1,207 @@
+const { PDFCheckBox, PDFTextField } = require("@cantoo/pdf-lib");
+const { loadProtectedPdf } = require("./report-security");
+
+/**
+ * Import edits from an editable report
+ * A report rendered with options.editable keeps its status checkboxes
+ * (lineItem.<id>.<I|NI|NP|D>) and per line item notes (lineItem.<id>.notes)
+ * live. Once someone has filled it in, /importEdits reads the fields back
+ * and diffs them against the inspection the report was made from, returning
+ * a JSON Patch (RFC 6902) with paths relative to that inspection.
+ *
+ * The boxes mirror how the report draws them: a deficient item shows only D
+ * checked, so leaving D checked keeps the item's inspectionStatus as is.
+ */
+
+const FIELD_NAME = /^lineItem\.(.+)\.(I|NI|NP|D|notes)$/;
+
+function importError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+// "replace" needs the member to exist; "add" creates it
+function setOp(target, key, path, value) {
+  const op = Object.prototype.hasOwnProperty.call(target, key)
+    ? "replace"
+    : "add";
+  return { op, path, value };
+}
+
+// Decode base64 or a data: URL into bytes
+function pdfBytesFrom(pdf) {
+  if (typeof pdf !== "string" || pdf.trim() === "") {
+    throw importError("pdf must be the filled-in report, base64 encoded");
+  }
+  const base64 = pdf.trim().replace(/^data:[^,]*;base64,/, "");
+  const bytes = Buffer.from(base64, "base64");
+  if (bytes.length === 0) throw importError("pdf is not valid base64");
+  return bytes;
+}
+
+/**
+ * Field values grouped by line item id:
+ * Map<id, { checked: Set<status>, statuses: Set<status>, notes }>
+ * where statuses holds the boxes the report had (templates may omit some).
+ */
+function readLineItemFields(pdfDoc) {
+  const byId = new Map();
+  let form;
+  try {
+    form = pdfDoc.getForm();
+  } catch {
+    return byId;
+  }
+  for (const field of form.getFields()) {
+    const match = FIELD_NAME.exec(field.getName());
+    if (!match) continue;
+    const [, id, kind] = match;
+    if (!byId.has(id)) {
+      byId.set(id, { checked: new Set(), statuses: new Set(), notes: null });
+    }
+    const entry = byId.get(id);
+    if (kind === "notes") {
+      if (field instanceof PDFTextField) entry.notes = field.getText() || "";
+    } else if (field instanceof PDFCheckBox) {
+      entry.statuses.add(kind);
+      if (field.isChecked()) entry.checked.add(kind);
+    }
+  }
+  return byId;
+}
+
+// Patch operations for one line item; problems go to warnings
+function diffLineItem(lineItem, path, fields, warnings) {
+  const ops = [];
+  const label = lineItem.name || lineItem.title || lineItem.id;
+  const status = lineItem.inspectionStatus;
+  if (fields.statuses.size > 0) {
+    const flagged = Boolean(lineItem.isDeficient);
+    const renderedDeficient = flagged || status === "D";
+    const deficient = fields.statuses.has("D")
+      ? fields.checked.has("D")
+      : renderedDeficient;
+    const others = [...fields.checked].filter((s) => s !== "D");
+    // The report checks only D for a flagged item, else the status's box
+    const statusBoxShown =
+      fields.statuses.has(status) && (!flagged || status === "D");
+
+    // A status of D is cleared through the status below, not the flag
+    if (deficient !== renderedDeficient && (deficient || flagged)) {
+      ops.push(
+        setOp(lineItem, "isDeficient", `${path}/isDeficient`, deficient)
+      );
+    }
+    if (others.length > 1) {
+      const statuses = others.join(", ");
+      warnings.push(
+        `${label}: ${statuses} are all checked; inspectionStatus left unchanged`
+      );
+    } else if (others.length === 1) {
+      if (others[0] !== status) {
+        ops.push(
+          setOp(
+            lineItem,
+            "inspectionStatus",
+            `${path}/inspectionStatus`,
+            others[0]
+          )
+        );
+        // D kept checked: the deficiency moves from the status to the flag
+        if (status === "D" && deficient && !flagged) {
+          ops.push(setOp(lineItem, "isDeficient", `${path}/isDeficient`, true));
+        }
+      }
+    } else if (status && statusBoxShown && fields.checked.size === 0) {
+      // Every box cleared, the one the report checked included
+      ops.push({
+        op: "replace",
+        path: `${path}/inspectionStatus`,
+        value: null,
+      });
+    }
+  }
+
+  if (fields.notes !== null) {
+    const before = lineItem.notes || "";
+    if (fields.notes !== before) {
+      ops.push(
+        fields.notes === ""
+          ? { op: "remove", path: `${path}/notes` }
+          : setOp(lineItem, "notes", `${path}/notes`, fields.notes)
+      );
+    }
+  }
+  return ops;
+}
+
+/**
+ * Diff a filled-in editable report against its inspection.
+ * @param {Object} inspection - the `inspection` the report was rendered from
+ * @param {Buffer|Uint8Array} pdfBytes
+ * @param {Object} [opts] - { password } for a report made with
+ *   options.security
+ * @returns {Promise<{ patch: Object[], lineItems: number, warnings: string[] }>}
+ */
+async function importEdits(inspection, pdfBytes, { password } = {}) {
+  const pdfDoc = await loadProtectedPdf(pdfBytes, password);
+  const fields = readLineItemFields(pdfDoc);
+  if (fields.size === 0) {
+    const err = new Error(
+      "The PDF has no line item fields; render it with options.editable"
+    );
+    err.statusCode = 422;
+    throw err;
+  }
+
+  const patch = [];
+  const warnings = [];
+  const seen = new Set();
+  (inspection?.sections || []).forEach((section, sectionIndex) => {
+    (section.lineItems || []).forEach((lineItem, lineItemIndex) => {
+      const id = String(lineItem?.id);
+      if (!fields.has(id) || seen.has(id)) return;
+      seen.add(id);
+      const path = `/sections/${sectionIndex}/lineItems/${lineItemIndex}`;
+      patch.push(...diffLineItem(lineItem, path, fields.get(id), warnings));
+    });
+  });
+  for (const id of fields.keys()) {
+    if (!seen.has(id)) {
+      warnings.push(
+        `Line item ${id} is not in the inspection; its fields were ignored`
+      );
+    }
+  }
+  return { patch, lineItems: seen.size, warnings };
+}
+
+/**
+ * POST /importEdits
+ * Body: { inspection, pdf: "<base64>", password }
+ */
+async function importEditsHandler(req, res) {
+  try {
+    const inspection = req.body?.inspection || {};
+    const pdfBytes = pdfBytesFrom(req.body?.pdf);
+
+    const result = await importEdits(inspection, pdfBytes, {
+      password: req.body?.password,
+    });
+
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("Error importing edits:", error);
+    res.status(error.statusCode || 500).json({
+      ok: false,
+      error: "Failed to import edits",
+      details: error.message,
+    });
+  }
+}
+
+module.exports = {
+  importEdits,
+  importEditsHandler,
+};
@@ -0,0 +1,319 @@
+const { rgb, degrees } = require("pdf-lib");
+const { safeText } = require("./report-fonts");
+const {
+  createLayout,
+  addPage,
+  ensureSpace,
+  drawWrapped,
+  inspectionAddress,
+  inspectionDate,
+} = require("./report-layout");
+
+/**
+ * Invoice page
+ * Tabulates the booking's fee from bookingFormData: one row per breakdown
+ * line (services first, then the add-ons the client selected), the total
+ * hours and price, and the payment status with a PAID/UNPAID stamp. It
+ * uses the report's branding and header identification text.
+ * options.includeInvoice appends it to /genPdf and /genCompleteReport;
+ * POST /genInvoice renders it on its own.
+ */
+
+const TEXT_GRAY = rgb(0.35, 0.35, 0.35);
+const RULE_GRAY = rgb(0.8, 0.8, 0.8);
+const HEADER_FILL = rgb(0.92, 0.92, 0.92);
+const STAMP_COLORS = {
+  paid: rgb(0.13, 0.55, 0.13),
+  unpaid: rgb(0.8, 0.1, 0.1),
+};
+const AMOUNT_COLUMN = 90; // right-aligned amount, then hours left of it
+const HOURS_COLUMN = 60;
+const STAMP_CLEARANCE = 150;
+const DETAIL_LABEL_WIDTH = 100;
+
+const money = new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency: "USD",
+});
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function sum(lines, key) {
+  return lines.reduce((total, line) => total + (line[key] || 0), 0);
+}
+
+/**
+ * Invoice lines and totals, or null when the inspection has no fee and no
+ * breakdown (e.g. a redacted copy).
+ * @returns {{ services, addons, totalHours, totalPrice, amountDue,
+ *   status, paid }|null} lines are { description, hours, price }
+ */
+function collectInvoice(inspection) {
+  const booking = inspection?.bookingFormData || {};
+  const breakdown = Array.isArray(booking.breakdown) ? booking.breakdown : [];
+  const fee = toNumber(inspection?.fee);
+  if (breakdown.length === 0 && fee === null) return null;
+
+  const lines = breakdown.map((line) => ({
+    // "Residential Inspection - Square Footage"; base prices by service name
+    description:
+      line.associatedLabel && line.name === "Base Price"
+        ? line.associatedLabel
+        : [line.associatedLabel, line.name].filter(Boolean).join(" - "),
+    hours: toNumber(line.hours),
+    price: toNumber(line.price),
+    addon: String(line.source || "").toLowerCase() === "addon",
+  }));
+  const totalPrice = toNumber(booking.totalPrice) ?? sum(lines, "price");
+  const status = String(
+    inspection?.paymentStatus || booking.payment?.status || "unpaid"
+  ).toLowerCase();
+  return {
+    services: lines.filter((line) => !line.addon),
+    addons: lines.filter((line) => line.addon),
+    totalHours: toNumber(booking.totalHours) ?? sum(lines, "hours"),
+    totalPrice,
+    // The fee on the inspection is what was finally charged
+    amountDue: fee ?? totalPrice,
+    status,
+    paid: status === "paid",
+  };
+}
+
+function drawRight(page, text, right, y, size, font, color = rgb(0, 0, 0)) {
+  const safe = safeText(font, text);
+  page.drawText(safe, {
+    x: right - font.widthOfTextAtSize(safe, size),
+    y,
+    size,
+    font,
+    color,
+  });
+}
+
+// A bordered PAID/UNPAID stamp tilted up to the right, centered on (cx, cy)
+function drawStamp(page, paid, cx, cy, font) {
+  const text = paid ? "PAID" : "UNPAID";
+  const color = paid ? STAMP_COLORS.paid : STAMP_COLORS.unpaid;
+  const size = 28;
+  const pad = 8;
+  const textWidth = font.widthOfTextAtSize(text, size);
+  const boxWidth = textWidth + pad * 2;
+  const boxHeight = size + pad;
+  const angle = 12;
+  const rad = (angle * Math.PI) / 180;
+  // Both shapes rotate about their own origin, so place each origin by
+  // rotating its offset from the center
+  const origin = (dx, dy) => ({
+    x: cx + dx * Math.cos(rad) - dy * Math.sin(rad),
+    y: cy + dx * Math.sin(rad) + dy * Math.cos(rad),
+  });
+  page.drawRectangle({
+    ...origin(-boxWidth / 2, -boxHeight / 2),
+    width: boxWidth,
+    height: boxHeight,
+    borderColor: color,
+    borderWidth: 2.5,
+    rotate: degrees(angle),
+    borderOpacity: 0.85,
+  });
+  page.drawText(text, {
+    ...origin(-textWidth / 2, -size * 0.35),
+    size,
+    font,
+    color,
+    rotate: degrees(angle),
+    opacity: 0.85,
+  });
+}
+
+/**
+ * Render the invoice on new pages at the end of pdfDoc (or at
+ * options.insertAt).
+ * @param {Object} options - createLayout options ({ profile, headerText,
+ *   fontFamily, branding, formTemplate, insertAt, warnings })
+ * @returns {Promise<{ layout, invoice }|null>} null when there is nothing
+ *   to invoice; call finishPages(layout) when the profile numbers only its
+ *   own pages
+ */
+async function renderInvoicePage(pdfDoc, inspection, options = {}) {
+  const invoice = collectInvoice(inspection);
+  if (!invoice) return null;
+  const layout = await createLayout(pdfDoc, options);
+  const { profile, fonts } = layout;
+  const { size, lineHeight } = profile.text;
+  const branding = layout.branding;
+  const primary = branding?.colors.primary || rgb(0, 0, 0);
+
+  addPage(layout);
+  const { width } = layout.page.getSize();
+  const left = profile.margin + 10;
+  const right = width - profile.margin - 10;
+
+  const title = "Invoice";
+  layout.page.drawText(title, {
+    x: (width - fonts.bold.widthOfTextAtSize(title, 18)) / 2,
+    y: layout.y,
+    size: 18,
+    font: fonts.bold,
+    color: primary,
+  });
+  drawStamp(layout.page, invoice.paid, right - 70, layout.y - 20, fonts.bold);
+  layout.y -= 34;
+
+  // Who bills whom: the company (from branding), then the client; both
+  // stay clear of the stamp
+  const blockWidth = right - left - STAMP_CLEARANCE;
+  const from = [branding?.companyName, ...(branding?.contact || [])].filter(
+    Boolean
+  );
+  from.forEach((line, i) => {
+    drawWrapped(layout, line, {
+      x: left,
+      width: blockWidth,
+      font: i === 0 ? fonts.bold : fonts.regular,
+    });
+  });
+  if (from.length > 0) layout.y -= 8;
+  const details = [
+    ["Bill to:", inspection?.clientInfo?.name],
+    ["Property:", inspectionAddress(inspection)],
+    ["Inspection date:", inspectionDate(inspection)],
+    ["Payment status:", invoice.status.replace(/_/g, " ")],
+  ].filter(([, value]) => value);
+  for (const [label, value] of details) {
+    ensureSpace(layout, lineHeight);
+    layout.page.drawText(label, {
+      x: left,
+      y: layout.y,
+      size,
+      font: fonts.bold,
+    });
+    drawWrapped(layout, String(value), {
+      x: left + DETAIL_LABEL_WIDTH,
+      width: blockWidth - DETAIL_LABEL_WIDTH,
+    });
+  }
+  layout.y -= 12;
+
+  // Table: description | hours | amount
+  const descriptionWidth = right - left - AMOUNT_COLUMN - HOURS_COLUMN - 10;
+  const hoursRight = right - AMOUNT_COLUMN;
+  ensureSpace(layout, lineHeight * 3);
+  layout.page.drawRectangle({
+    x: left - 4,
+    y: layout.y - 5,
+    width: right - left + 8,
+    height: lineHeight + 6,
+    color: HEADER_FILL,
+  });
+  layout.page.drawText("Description", {
+    x: left,
+    y: layout.y,
+    size,
+    font: fonts.bold,
+  });
+  drawRight(layout.page, "Hours", hoursRight, layout.y, size, fonts.bold);
+  drawRight(layout.page, "Amount", right, layout.y, size, fonts.bold);
+  layout.y -= lineHeight + 8;
+
+  const drawRow = (line) => {
+    ensureSpace(layout, lineHeight);
+    const rowPage = layout.page;
+    const rowY = layout.y;
+    drawWrapped(layout, line.description || "Item", {
+      x: left,
+      width: descriptionWidth,
+    });
+    if (line.hours !== null) {
+      drawRight(
+        rowPage,
+        String(line.hours),
+        hoursRight,
+        rowY,
+        size,
+        fonts.regular
+      );
+    }
+    if (line.price !== null) {
+      drawRight(
+        rowPage,
+        money.format(line.price),
+        right,
+        rowY,
+        size,
+        fonts.regular
+      );
+    }
+    layout.y -= 2;
+  };
+  const drawGroup = (heading, lines) => {
+    if (lines.length === 0) return;
+    ensureSpace(layout, lineHeight * 2);
+    layout.page.drawText(heading, {
+      x: left,
+      y: layout.y,
+      size,
+      font: fonts.bold,
+      color: TEXT_GRAY,
+    });
+    layout.y -= lineHeight + 2;
+    lines.forEach(drawRow);
+    layout.y -= 6;
+  };
+
+  if (invoice.services.length + invoice.addons.length === 0) {
+    drawRow({
+      description: "Inspection fee",
+      hours: null,
+      price: invoice.amountDue,
+    });
+  }
+  drawGroup("Services", invoice.services);
+  drawGroup("Add-ons", invoice.addons);
+
+  // Totals under a rule, amount due in the brand color
+  ensureSpace(layout, lineHeight * 4);
+  layout.page.drawLine({
+    start: { x: left - 4, y: layout.y + lineHeight - 2 },
+    end: { x: right + 4, y: layout.y + lineHeight - 2 },
+    thickness: 1,
+    color: RULE_GRAY,
+  });
+  const totals = [["Total", invoice.totalHours || null, invoice.totalPrice]];
+  if (invoice.amountDue !== invoice.totalPrice) {
+    totals.push(["Amount charged", null, invoice.amountDue]);
+  }
+  const bold = fonts.bold;
+  for (const [label, hours, amount] of totals) {
+    layout.page.drawText(label, { x: left, y: layout.y, size, font: bold });
+    if (hours !== null) {
+      drawRight(layout.page, String(hours), hoursRight, layout.y, size, bold);
+    }
+    drawRight(layout.page, money.format(amount), right, layout.y, size, bold);
+    layout.y -= lineHeight + 2;
+  }
+  layout.y -= 4;
+  drawRight(
+    layout.page,
+    invoice.paid
+      ? "Paid in full - thank you."
+      : `Balance due: ${money.format(invoice.amountDue)}`,
+    right,
+    layout.y,
+    size + 1,
+    fonts.bold,
+    invoice.paid ? STAMP_COLORS.paid : primary
+  );
+  layout.y -= lineHeight * 2;
+
+  return { layout, invoice };
+}
+
+module.exports = {
+  collectInvoice,
+  renderInvoicePage,
+};
@@ -1,15 +1,14 @@
 const fs = require('fs');
 const path = require('path');
-const generatePdf = require('./generatePdf');
+const { buildTrecReport } = require('./generatePdf');
 
 (async () => {
   const inspectionPath = path.join(__dirname, 'inspection.json');
   const raw = fs.readFileSync(inspectionPath, 'utf8');
   const body = JSON.parse(raw);
-  const req = { body };
-  const res = {
-    status(code){ this._status = code; return this; },
-    json(payload){ console.log('response', this._status||200, payload); }
-  };
-  await generatePdf(req, res);
+  const { pdfBytes, pageCount, warnings } = await buildTrecReport(body.inspection || {});
+  const outPath = path.join(process.cwd(), 'output.pdf');
+  fs.writeFileSync(outPath, pdfBytes);
+  console.log('wrote', outPath, `(${pageCount} pages)`);
+  for (const warning of warnings) console.warn('warning:', warning.message);
 })();
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Local and inline media
+ * Photos that need no download: `data:` URLs, and files under
+ * IMAGE_MEDIA_ROOT named by a `file:` URL or a path relative to the root,
+ * so a report can be generated offline. Without IMAGE_MEDIA_ROOT no file is
+ * read; paths that lead outside the root (.., symlinks) are refused.
+ * report-media.js reads these here instead of going through image-fetch.js.
+ */
+
+const IMAGE_MEDIA_ROOT = process.env.IMAGE_MEDIA_ROOT
+  ? path.resolve(process.env.IMAGE_MEDIA_ROOT)
+  : null;
+const MAX_BYTES = (Number(process.env.IMAGE_MAX_MB) || 25) * 1024 * 1024;
+
+// Anything with a scheme other than data: and file: is a download
+function isLocalMediaUrl(url) {
+  const value = String(url || "");
+  return (
+    /^(data|file):/i.test(value) ||
+    (value !== "" && !/^[a-z][a-z0-9+.-]*:/i.test(value))
+  );
+}
+
+function readDataUrl(url) {
+  const match = /^data:([^,]*),(.*)$/is.exec(url);
+  if (!match) return { body: null, reason: "invalid data URL" };
+  const base64 = /;base64$/i.test(match[1]);
+  let body;
+  try {
+    // Without ;base64 the data is percent-encoded text, e.g. SVG markup
+    body = base64
+      ? Buffer.from(match[2], "base64")
+      : Buffer.from(decodeURIComponent(match[2]), "utf8");
+  } catch {
+    return { body: null, reason: "invalid data URL" };
+  }
+  if (body.length === 0) return { body: null, reason: "empty data URL" };
+  if (body.length > MAX_BYTES) {
+    return { body: null, reason: `larger than ${MAX_BYTES} bytes` };
+  }
+  return { body, reason: null };
+}
+
+function isInside(root, file) {
+  const relative = path.relative(root, file);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+async function readMediaFile(url) {
+  if (!IMAGE_MEDIA_ROOT) {
+    return { body: null, reason: "local files are off (IMAGE_MEDIA_ROOT)" };
+  }
+  let file;
+  try {
+    file = /^file:/i.test(url)
+      ? decodeURIComponent(new URL(url).pathname)
+      : path.resolve(IMAGE_MEDIA_ROOT, url);
+  } catch {
+    return { body: null, reason: "invalid file URL" };
+  }
+  // Checked before touching the file, so outside paths reveal nothing
+  if (!isInside(IMAGE_MEDIA_ROOT, path.resolve(file))) {
+    return { body: null, reason: "outside IMAGE_MEDIA_ROOT" };
+  }
+  try {
+    // Resolve symlinks on both sides before comparing
+    const root = await fs.promises.realpath(IMAGE_MEDIA_ROOT);
+    const real = await fs.promises.realpath(file);
+    if (!isInside(root, real)) {
+      return { body: null, reason: "outside IMAGE_MEDIA_ROOT" };
+    }
+    const stat = await fs.promises.stat(real);
+    if (!stat.isFile()) return { body: null, reason: "not a file" };
+    if (stat.size > MAX_BYTES) {
+      return { body: null, reason: `larger than ${MAX_BYTES} bytes` };
+    }
+    return { body: await fs.promises.readFile(real), reason: null };
+  } catch (err) {
+    return { body: null, reason: err.code || err.message };
+  }
+}
+
+/**
+ * Read a data: URL or a file under IMAGE_MEDIA_ROOT.
+ * @returns {Promise<{ body: Buffer|null, reason: string|null }>} reason says
+ *   why there is no body, e.g. "ENOENT" or "outside IMAGE_MEDIA_ROOT"
+ */
+async function readLocalMedia(url) {
+  return /^data:/i.test(url) ? readDataUrl(url) : readMediaFile(url);
+}
+
+module.exports = {
+  IMAGE_MEDIA_ROOT,
+  isLocalMediaUrl,
+  readLocalMedia,
+};
@@ -0,0 +1,130 @@
+const { rgb, degrees } = require("pdf-lib");
+const { embedReportFonts } = require("./report-fonts");
+
+/**
+ * Draft watermark and finalization
+ * Until an inspection's status is "completed" every renderer stamps a
+ * diagonal DRAFT across each page. options.finalize asks for the final
+ * report instead: rendering is refused while required comments are empty or
+ * line items have no inspectionStatus, and the blocking problems are
+ * returned to the caller. A report that passes is not watermarked.
+ */
+
+const COMPLETED_STATUS = "completed";
+const WATERMARK_TEXT = "DRAFT";
+
+// Draft unless the inspection is completed or the caller finalizes it
+function isDraftReport(inspection, options = {}) {
+  if (options.finalize) return false;
+  return (
+    String(inspection?.status || "")
+      .trim()
+      .toLowerCase() !== COMPLETED_STATUS
+  );
+}
+
+/**
+ * Stamp the watermark on every page of pdfDoc; call once all pages exist.
+ * @param {Object} options - { fontFamily }
+ */
+async function stampDraftWatermark(pdfDoc, options = {}) {
+  const { bold: font } = await embedReportFonts(pdfDoc, {
+    fontFamily: options.fontFamily,
+    fallback: "helvetica",
+  });
+  const angle = 45;
+  const rad = (angle * Math.PI) / 180;
+  for (const page of pdfDoc.getPages()) {
+    const { width, height } = page.getSize();
+    // Sized to the page diagonal, then centered on it after rotation
+    const size = Math.min(width, height) / 3.5;
+    const textWidth = font.widthOfTextAtSize(WATERMARK_TEXT, size);
+    const textHeight = font.heightAtSize(size, { descender: false });
+    page.drawText(WATERMARK_TEXT, {
+      x:
+        width / 2 -
+        (textWidth / 2) * Math.cos(rad) +
+        (textHeight / 2) * Math.sin(rad),
+      y:
+        height / 2 -
+        (textWidth / 2) * Math.sin(rad) -
+        (textHeight / 2) * Math.cos(rad),
+      size,
+      font,
+      rotate: degrees(angle),
+      color: rgb(0.75, 0.1, 0.1),
+      opacity: 0.15,
+    });
+  }
+}
+
+// A required comment is empty when it has nothing for its inputType
+function isCommentEmpty(comment) {
+  const type = String(comment?.inputType || "").toLowerCase();
+  if (type === "checklist") return !(comment.selectedOptions?.length > 0);
+  if (type === "boolean") return typeof comment.isSelected !== "boolean";
+  const fields = [comment?.text, comment?.content, comment?.commentText];
+  return ![...fields, comment?.value].some(
+    (v) => v !== null && v !== undefined && String(v).trim() !== ""
+  );
+}
+
+/**
+ * Everything that keeps an inspection from being finalized.
+ * @param {string} base - JSON pointer of the inspection in the request body
+ * @returns {Array<{ path, message, text }>} JSON pointers into the payload,
+ *   shaped like validation errors
+ */
+function finalizeProblems(inspection, base = "/inspection") {
+  const problems = [];
+  (inspection?.sections || []).forEach((section, s) => {
+    (section.lineItems || []).forEach((lineItem, l) => {
+      const path = `${base}/sections/${s}/lineItems/${l}`;
+      const where = `${section.name} > ${lineItem.title || lineItem.name}`;
+      if (!lineItem.inspectionStatus) {
+        problems.push({
+          path: `${path}/inspectionStatus`,
+          message: "is required to finalize",
+          text: `${where}: no inspection status`,
+        });
+      }
+      (lineItem.comments || []).forEach((comment, c) => {
+        if (comment?.required === true && isCommentEmpty(comment)) {
+          problems.push({
+            path: `${path}/comments/${c}`,
+            message: "is required but empty",
+            text: `${where}: required comment "${
+              comment.label || c + 1
+            }" is empty`,
+          });
+        }
+      });
+    });
+  });
+  return problems;
+}
+
+/**
+ * With options.finalize, throw a 422-tagged error carrying `problems` when
+ * the inspection cannot be finalized. Does nothing otherwise.
+ */
+function assertFinalizable(inspection, options = {}, base = "/inspection") {
+  if (!options.finalize) return;
+  const problems = finalizeProblems(inspection, base);
+  if (problems.length === 0) return;
+  const err = new Error(
+    `Inspection cannot be finalized: ${problems.length} blocking problem${
+      problems.length === 1 ? "" : "s"
+    }`
+  );
+  err.statusCode = 422;
+  err.problems = problems;
+  throw err;
+}
+
+module.exports = {
+  isDraftReport,
+  stampDraftWatermark,
+  finalizeProblems,
+  assertFinalizable,
+};
@@ -0,0 +1,235 @@
+const fs = require("fs");
+const path = require("path");
+const fontkit = require("@pdf-lib/fontkit");
+const { StandardFonts } = require("pdf-lib");
+
+/**
+ * Report fonts
+ * Embeds a configurable TTF/OTF family (regular/bold/italic/boldItalic, subset)
+ * so non-ASCII inspector notes survive. Families live in REPORT_FONT_DIR
+ * (default ./assets/fonts), one sub-directory per family, e.g.
+ *   assets/fonts/dejavu-sans/DejaVuSans.ttf, DejaVuSans-Bold.ttf, ...
+ * A request picks one with `options.fontFamily` (default REPORT_FONT_FAMILY,
+ * else the bundled dejavu-sans). When no family is available the
+ * StandardFonts are used as a fallback and text is reduced to what WinAnsi
+ * can encode.
+ */
+
+const FONT_DIR = path.resolve(
+  process.env.REPORT_FONT_DIR || path.join(__dirname, "assets", "fonts")
+);
+// "" turns the bundled family off, leaving the StandardFonts
+const DEFAULT_FAMILY = process.env.REPORT_FONT_FAMILY ?? "dejavu-sans";
+
+const STANDARD_FAMILIES = {
+  times: {
+    regular: StandardFonts.TimesRoman,
+    bold: StandardFonts.TimesRomanBold,
+    italic: StandardFonts.TimesRomanItalic,
+    boldItalic: StandardFonts.TimesRomanBoldItalic,
+  },
+  helvetica: {
+    regular: StandardFonts.Helvetica,
+    bold: StandardFonts.HelveticaBold,
+    italic: StandardFonts.HelveticaOblique,
+    boldItalic: StandardFonts.HelveticaBoldOblique,
+  },
+};
+
+// Closest WinAnsi/ASCII stand-ins for characters a font cannot draw
+const CHAR_REPLACEMENTS = {
+  "‘": "'",
+  "’": "'",
+  "“": '"',
+  "”": '"',
+  "–": "-",
+  "—": "-",
+  "…": "...",
+  "\u00a0": " ",
+  "•": "*",
+  "−": "-",
+};
+
+const familyFileCache = new Map();
+const docFontCache = new WeakMap();
+const charSetCache = new WeakMap();
+const replacementLog = new WeakMap(); // PDFDocument -> Map(char -> { replacement, count })
+
+// Map a family directory to { regular, bold, italic, boldItalic } file paths
+function resolveFamilyFiles(family) {
+  if (!family || !/^[\w.-]+$/.test(family)) return null;
+  if (familyFileCache.has(family)) return familyFileCache.get(family);
+
+  let files = null;
+  try {
+    const dir = path.join(FONT_DIR, family);
+    const fonts = fs
+      .readdirSync(dir)
+      .filter((f) => /\.(ttf|otf)$/i.test(f))
+      .map((f) => path.join(dir, f));
+    const isBold = (f) => /bold/i.test(path.basename(f));
+    const isItalic = (f) => /(italic|oblique)/i.test(path.basename(f));
+    const regular = fonts.find((f) => !isBold(f) && !isItalic(f));
+    if (regular) {
+      files = {
+        regular,
+        bold: fonts.find((f) => isBold(f) && !isItalic(f)) || regular,
+        italic: fonts.find((f) => !isBold(f) && isItalic(f)) || regular,
+        boldItalic: fonts.find((f) => isBold(f) && isItalic(f)) || null,
+      };
+      files.boldItalic = files.boldItalic || files.bold;
+    }
+  } catch {
+    files = null;
+  }
+  familyFileCache.set(family, files);
+  return files;
+}
+
+async function embedStandardFamily(pdfDoc, fallback) {
+  const family = STANDARD_FAMILIES[fallback] || STANDARD_FAMILIES.times;
+  return {
+    regular: await pdfDoc.embedFont(family.regular),
+    bold: await pdfDoc.embedFont(family.bold),
+    italic: await pdfDoc.embedFont(family.italic),
+    boldItalic: await pdfDoc.embedFont(family.boldItalic),
+    unicode: false,
+  };
+}
+
+/**
+ * Embed the report font family into a document (once per document/fallback).
+ * @param {PDFDocument} pdfDoc
+ * @param {Object} options - { fontFamily, fallback: "times" | "helvetica" }
+ * @returns {Promise<{regular, bold, italic, boldItalic, unicode: boolean}>}
+ */
+async function embedReportFonts(pdfDoc, options = {}) {
+  const fallback = options.fallback || "times";
+  let perDoc = docFontCache.get(pdfDoc);
+  if (!perDoc) {
+    perDoc = new Map();
+    docFontCache.set(pdfDoc, perDoc);
+  }
+  if (perDoc.has(fallback)) return perDoc.get(fallback);
+
+  const pending = (async () => {
+    const files = resolveFamilyFiles(options.fontFamily || DEFAULT_FAMILY);
+    if (files) {
+      try {
+        pdfDoc.registerFontkit(fontkit);
+        const embed = (file) =>
+          pdfDoc.embedFont(fs.readFileSync(file), { subset: true });
+        return {
+          regular: await embed(files.regular),
+          bold: await embed(files.bold),
+          italic: await embed(files.italic),
+          boldItalic: await embed(files.boldItalic),
+          unicode: true,
+        };
+      } catch (err) {
+        console.warn(
+          `Font family "${
+            options.fontFamily || DEFAULT_FAMILY
+          }" could not be embedded, using standard fonts:`,
+          err?.message || err
+        );
+      }
+    }
+    return embedStandardFamily(pdfDoc, fallback);
+  })();
+  perDoc.set(fallback, pending);
+  return pending;
+}
+
+function replacementsOf(pdfDoc) {
+  let log = replacementLog.get(pdfDoc);
+  if (!log) {
+    log = new Map();
+    replacementLog.set(pdfDoc, log);
+  }
+  return log;
+}
+
+// Note a character safeText could not draw as is, per document
+function logReplacement(font, ch, replacement) {
+  if (!font.doc) return;
+  const log = replacementsOf(font.doc);
+  const entry = log.get(ch) || { replacement, count: 0 };
+  entry.count++;
+  log.set(ch, entry);
+}
+
+/**
+ * Characters replaced (or dropped: replacement "") while drawing text into
+ * a document.
+ * @returns {Array<{ char, replacement, count }>}
+ */
+function replacedCharacters(pdfDoc) {
+  const log = replacementLog.get(pdfDoc);
+  if (!log) return [];
+  return [...log].map(([char, entry]) => ({ char, ...entry }));
+}
+
+/**
+ * Count the characters replaced in one document against another as well,
+ * for pages built in a document of their own and copied into the report.
+ */
+function mergeReplacedCharacters(from, into) {
+  const log = replacementsOf(into);
+  for (const { char, replacement, count } of replacedCharacters(from)) {
+    const entry = log.get(char) || { replacement, count: 0 };
+    entry.count += count;
+    log.set(char, entry);
+  }
+}
+
+/**
+ * Make text drawable with the given font: characters the font has no glyph
+ * for are swapped for a close equivalent, or dropped.
+ */
+function safeText(font, text) {
+  if (text === null || text === undefined) return "";
+  const str = String(text);
+  let supported = charSetCache.get(font);
+  if (!supported) {
+    supported = new Set(font.getCharacterSet());
+    charSetCache.set(font, supported);
+  }
+  let out = "";
+  for (const ch of str) {
+    const code = ch.codePointAt(0);
+    if (ch === "\n" || ch === "\r" || supported.has(code)) {
+      out += ch;
+      continue;
+    }
+    if (ch === "\t") {
+      out += " ";
+      continue;
+    }
+    const replacement = CHAR_REPLACEMENTS[ch];
+    if (
+      replacement &&
+      [...replacement].every((r) => supported.has(r.codePointAt(0)))
+    ) {
+      out += replacement;
+      logReplacement(font, ch, replacement);
+      continue;
+    }
+    // Strip accents (é -> e) before giving up on the character entirely
+    const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    if (base && base !== ch && supported.has(base.codePointAt(0))) {
+      out += base;
+      logReplacement(font, ch, base);
+    } else {
+      logReplacement(font, ch, "");
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  embedReportFonts,
+  safeText,
+  replacedCharacters,
+  mergeReplacedCharacters,
+};
@@ -0,0 +1,259 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { buildTrecReport, reportFileName } = require("./generatePdf");
+const { generateCompleteReport } = require("./generate-complete-report");
+const { assertFinalizable } = require("./report-finalize");
+const { assertSignable } = require("./report-signature");
+const { resolveSecurity } = require("./report-security");
+const { setWarningHeaders } = require("./report-warnings");
+
+/**
+ * Background report jobs
+ * Accepts an inspection payload, returns a job id right away and renders the
+ * PDF in the background so large reports don't hit HTTP timeouts.
+ * - Bounded concurrency (JOB_CONCURRENCY, default 2)
+ * - Finished jobs are dropped after JOB_RETENTION_MS (default 1 hour)
+ * - PDFs live in memory unless JOBS_DIR points at a local directory store
+ */
+
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000;
+const JOBS_DIR = process.env.JOBS_DIR || null;
+
+// Report engines a job can run; each resolves to { pdfBytes, pageCount,
+// warnings }
+const ENGINES = {
+  trec: (body, options) =>
+    buildTrecReport(body?.inspection || {}, {
+      ...(body?.options || {}),
+      ...options,
+    }),
+  complete: (body, options) =>
+    generateCompleteReport(body, null, {
+      ...(body?.options || {}),
+      ...options,
+    }),
+};
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+function publicJob(job) {
+  const durationMs =
+    job.startedAt && job.finishedAt ? job.finishedAt - job.startedAt : null;
+  return {
+    id: job.id,
+    engine: job.engine,
+    state: job.state,
+    progress: Math.round(job.progress * 100) / 100,
+    stage: job.stage,
+    timings: {
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      durationMs,
+    },
+    pageCount: job.pageCount,
+    warnings: job.warnings,
+    error: job.error,
+  };
+}
+
+function submitJob(body) {
+  const engine = body?.engine || "trec";
+  if (!ENGINES[engine]) {
+    const err = new Error(
+      `Unknown engine "${engine}". Use one of: ${Object.keys(ENGINES).join(
+        ", "
+      )}`
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+  // Refuse up front rather than fail the job later
+  assertFinalizable(body?.inspection, body?.options || {});
+  assertSignable(body?.options || {});
+  resolveSecurity(body?.options || {}, body?.inspection);
+  const job = {
+    id: crypto.randomUUID(),
+    engine,
+    body,
+    fileName: reportFileName(body?.inspection || body),
+    state: "queued",
+    progress: 0,
+    stage: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    pageCount: null,
+    warnings: [],
+    error: null,
+    pdfBytes: null,
+    pdfPath: null,
+    controller: new AbortController(),
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  drainQueue();
+  return job;
+}
+
+function drainQueue() {
+  while (running < JOB_CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    if (job.state !== "queued") continue;
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      drainQueue();
+    });
+  }
+}
+
+async function runJob(job) {
+  job.state = "running";
+  job.startedAt = Date.now();
+  try {
+    const result = await ENGINES[job.engine](job.body, {
+      signal: job.controller.signal,
+      onProgress: (progress, stage) => {
+        job.progress = progress;
+        job.stage = stage;
+      },
+    });
+    if (job.state === "cancelled") return;
+    job.pageCount = result.pageCount;
+    job.warnings = result.warnings || [];
+    if (JOBS_DIR) {
+      fs.mkdirSync(JOBS_DIR, { recursive: true });
+      job.pdfPath = path.join(JOBS_DIR, `${job.id}.pdf`);
+      fs.writeFileSync(job.pdfPath, result.pdfBytes);
+    } else {
+      job.pdfBytes = Buffer.from(result.pdfBytes);
+    }
+    job.progress = 1;
+    job.state = "completed";
+  } catch (err) {
+    if (job.state !== "cancelled") {
+      console.error(`Report job ${job.id} failed:`, err);
+      job.state = "failed";
+      job.error = err?.message || String(err);
+      if (err?.warnings) job.warnings = err.warnings;
+    }
+  } finally {
+    job.body = null; // release the payload once rendering is over
+    job.finishedAt = Date.now();
+  }
+}
+
+function removeJobResult(job) {
+  job.pdfBytes = null;
+  if (job.pdfPath) {
+    try {
+      fs.unlinkSync(job.pdfPath);
+    } catch {}
+    job.pdfPath = null;
+  }
+}
+
+// Cancelled jobs stay visible as "cancelled" until swept like finished ones
+// (a running job is finished once runJob settles); a finished job is
+// discarded right away
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (job.state === "queued" || job.state === "running") {
+    job.state = "cancelled";
+    job.controller.abort();
+    if (!job.startedAt) job.finishedAt = Date.now();
+    return job;
+  }
+  removeJobResult(job);
+  jobs.delete(id);
+  return job;
+}
+
+// Drop finished jobs (and their PDFs) once they are older than the retention window
+function sweepExpiredJobs(now = Date.now()) {
+  for (const job of jobs.values()) {
+    if (job.finishedAt && now - job.finishedAt > JOB_RETENTION_MS) {
+      removeJobResult(job);
+      jobs.delete(job.id);
+    }
+  }
+}
+
+setInterval(sweepExpiredJobs, Math.min(JOB_RETENTION_MS, 60 * 1000)).unref();
+
+// ---- Express route handlers -------------------------------------------------
+
+function createJobHandler(req, res) {
+  try {
+    const job = submitJob(req.body);
+    res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      state: job.state,
+      statusUrl: `/jobs/${job.id}`,
+      pdfUrl: `/jobs/${job.id}/pdf`,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      ok: false,
+      error: "Failed to create report job",
+      details: error.message,
+      problems: error.problems,
+    });
+  }
+}
+
+function getJobStatusHandler(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: "Job not found" });
+  }
+  res.json({ ok: true, job: publicJob(job) });
+}
+
+function getJobPdfHandler(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: "Job not found" });
+  }
+  if (job.state !== "completed") {
+    return res.status(409).json({
+      ok: false,
+      error: `Job is ${job.state}, PDF not available`,
+      job: publicJob(job),
+    });
+  }
+  const pdfBytes = job.pdfPath ? fs.readFileSync(job.pdfPath) : job.pdfBytes;
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${job.fileName}"`
+  );
+  res.setHeader("X-Report-Pages", job.pageCount);
+  setWarningHeaders(res, job.warnings);
+  res.send(pdfBytes);
+}
+
+function cancelJobHandler(req, res) {
+  const job = cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: "Job not found" });
+  }
+  res.json({ ok: true, job: publicJob(job) });
+}
+
+module.exports = {
+  submitJob,
+  cancelJob,
+  getJob: (id) => jobs.get(id) || null,
+  createJobHandler,
+  getJobStatusHandler,
+  getJobPdfHandler,
+  cancelJobHandler,
+};
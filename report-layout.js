@@ -0,0 +1,1485 @@
+const { rgb, breakTextIntoLines, PDFString, PDFHexString } = require("pdf-lib");
+const { embedReportFonts, safeText } = require("./report-fonts");
+const { embedImage, imageFailure } = require("./report-media");
+const { createWarnings } = require("./report-warnings");
+const { boilerplateComments } = require("./empty-line-items");
+const { getFormTemplate } = require("./form-templates");
+const { tint } = require("./account-branding");
+
+/**
+ * Report layout core
+ * Page templates, pagination, comments and the photo grid shared by every
+ * renderer. A style profile decides what the page chrome and headings look
+ * like:
+ * - "trec":   legend box + I/NI/NP/D checkboxes, Roman-numeral sections,
+ *             lettered line items, TREC footer (/genPdf, worker.js)
+ * - "modern": running header with page numbers, gray section title bars,
+ *             tag badges, single photo beside the text (/genCompleteReport)
+ * Pagination and media handling live here once, so a fix lands in every output.
+ */
+
+const BLACK = rgb(0, 0, 0);
+const CAPTION_GRAY = rgb(0.4, 0.4, 0.4);
+const LINK_BLUE = rgb(0, 0, 1);
+const VIDEO_BLUE = rgb(0.2, 0.4, 0.7);
+const PLACEHOLDER_GRAY = rgb(0.95, 0.95, 0.95);
+// Long URLs may wrap at any of these
+const URL_SEPARATORS = [" ", "/", ":", "?", "&", "=", "-", "_", "."];
+
+function intToRoman(num) {
+  if (!Number.isFinite(num) || num <= 0) return "";
+  const romans = [
+    [1000, "M"],
+    [900, "CM"],
+    [500, "D"],
+    [400, "CD"],
+    [100, "C"],
+    [90, "XC"],
+    [50, "L"],
+    [40, "XL"],
+    [10, "X"],
+    [9, "IX"],
+    [5, "V"],
+    [4, "IV"],
+    [1, "I"],
+  ];
+  let n = Math.floor(num),
+    res = "";
+  for (const [val, sym] of romans) {
+    while (n >= val) {
+      res += sym;
+      n -= val;
+    }
+  }
+  return res;
+}
+
+// A, B, ... Z, then wraps around
+function lineItemLetter(index) {
+  return String.fromCharCode(65 + (index % 26));
+}
+
+function formatDate(ms) {
+  try {
+    if (!ms) return "";
+    const d = new Date(ms);
+    if (isNaN(d.getTime())) return "";
+    // Format as MM/DD/YYYY
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    const yyyy = d.getFullYear();
+    return `${mm}/${dd}/${yyyy}`;
+  } catch {
+    return "";
+  }
+}
+
+function inspectionAddress(inspection) {
+  const addr = inspection?.address || {};
+  return (
+    addr.fullAddress ||
+    [addr.street, addr.city, addr.state, addr.zipcode]
+      .filter(Boolean)
+      .join(", ")
+      .replace(/,\s*,/g, ",")
+      .replace(/,\s*$/, "")
+  );
+}
+
+// Inspection date as MM/DD/YYYY ("" when unknown)
+function inspectionDate(inspection) {
+  return formatDate(
+    inspection?.schedule?.date || inspection?.bookingFormData?.schedule?.date
+  );
+}
+
+// "Report Identification: <address> - <MM/DD/YYYY>" for the TREC page header
+function reportHeaderText(inspection) {
+  const fullAddr = inspectionAddress(inspection);
+  const dateStr = inspectionDate(inspection);
+  return fullAddr || dateStr
+    ? `Report Identification: ${fullAddr}${
+        fullAddr && dateStr ? " - " : ""
+      }${dateStr}`
+    : "Report Identification";
+}
+
+// Stop work early when the caller (e.g. a cancelled background job) aborts
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const err = new Error("Report generation cancelled");
+    err.name = "AbortError";
+    throw err;
+  }
+}
+
+function commentBody(comment) {
+  return comment?.content || comment?.text || comment?.commentText || "";
+}
+
+// Short "text" inputs go inline with their label; longer ones read better
+// as a normal comment body
+const INLINE_TEXT_MAX = 80;
+
+/**
+ * How a comment's app input is shown, by inputType:
+ * - boolean: only when isSelected (null otherwise)
+ * - text: "Label: value" as the comment label, when the value is short
+ * - checklist: every option, with selectedOptions checked
+ * Other comments (textarea, or no inputType) print their label and body.
+ * @returns {{ label, checklist: Array<{ label, checked }>|null, bodyInLabel }
+ *   |null}
+ */
+function commentInput(comment) {
+  const inputType = String(comment?.inputType || "").toLowerCase();
+  const input = { label: comment?.label, checklist: null, bodyInLabel: false };
+  if (inputType === "boolean" && !comment.isSelected) return null;
+  if (inputType === "text") {
+    const value = String(comment.value ?? "").trim() || commentBody(comment);
+    if (value && value.length <= INLINE_TEXT_MAX) {
+      input.label = [comment.label, value].filter(Boolean).join(": ");
+      input.bodyInLabel = true;
+    }
+  }
+  if (inputType === "checklist") {
+    const options = (comment.options || []).map(String);
+    const selected = (comment.selectedOptions || []).map(String);
+    // Values picked in the app but not in the option list still count
+    const extra = selected.filter((s) => !options.includes(s));
+    input.checklist = [...options, ...extra].map((label) => ({
+      label,
+      checked: selected.includes(label),
+    }));
+  }
+  return input;
+}
+
+// False for comments the inspector did not pick (unselected booleans)
+function isCommentShown(comment) {
+  return commentInput(comment) !== null;
+}
+
+// True when a comment has anything to print beyond its label/tag
+function commentHasContent(comment) {
+  const present = (v) => typeof v === "string" && v.trim() !== "";
+  return Boolean(
+    commentBody(comment) ||
+      present(comment?.location) ||
+      present(comment?.recommendation) ||
+      comment?.selectedOptions?.length > 0 ||
+      comment?.photos?.length > 0 ||
+      comment?.videos?.length > 0
+  );
+}
+
+// ---- Drawing primitives ------------------------------------------------------
+
+// Clickable link over [x1, y1, x2, y2]: a URL string, or { page, y } to jump
+// to a position inside the document
+function addLink(page, rect, target) {
+  const { context } = page.doc;
+  const action =
+    typeof target === "string"
+      ? { A: { S: "URI", URI: PDFString.of(target) } }
+      : { Dest: [target.page.ref, "XYZ", null, target.y ?? null, null] };
+  const annot = context.register(
+    context.obj({
+      Type: "Annot",
+      Subtype: "Link",
+      Rect: rect,
+      Border: [0, 0, 0],
+      ...action,
+    })
+  );
+  page.node.addAnnot(annot);
+}
+
+function contentWidth(layout) {
+  const { profile } = layout;
+  const { width } = layout.page.getSize();
+  return width - profile.contentX - profile.rightMargin;
+}
+
+// Append a page, or insert it at layout.insertAt (e.g. a summary placed
+// before content that was rendered first)
+function addPage(layout) {
+  const page =
+    layout.insertAt === null
+      ? layout.doc.addPage()
+      : layout.doc.insertPage(layout.insertAt++);
+  layout.pages.push(page);
+  layout.page = page;
+  layout.y = layout.profile.drawPageTemplate(layout, page);
+  return page;
+}
+
+// Start a new page when the next block would run into the bottom limit
+function ensureSpace(layout, neededHeight) {
+  if (!layout.page || layout.y - neededHeight < layout.profile.bottomLimit) {
+    addPage(layout);
+  }
+  return layout.page;
+}
+
+/**
+ * Wrap text into the content column, paginating line by line.
+ * `emphasis(line)` may switch single lines to the bold face; `link` makes
+ * every line a clickable, underlined URL.
+ */
+function drawWrapped(layout, text, options = {}) {
+  if (!text) return 0;
+  const { profile, fonts } = layout;
+  const {
+    x = profile.contentX,
+    width = contentWidth(layout),
+    size = profile.text.size,
+    lineHeight = profile.text.lineHeight,
+    font = fonts.regular,
+    color = BLACK,
+    separators = [" "],
+    link = null,
+    emphasis = null,
+  } = options;
+  const lines = breakTextIntoLines(
+    safeText(font, text),
+    separators,
+    width,
+    (t) => font.widthOfTextAtSize(t, size)
+  );
+  for (const line of lines) {
+    ensureSpace(layout, lineHeight);
+    const lineFont = emphasis && emphasis(line) ? fonts.bold : font;
+    layout.page.drawText(line, {
+      x,
+      y: layout.y,
+      size,
+      font: lineFont,
+      color,
+    });
+    if (link) {
+      const lineWidth = lineFont.widthOfTextAtSize(line, size);
+      layout.page.drawLine({
+        start: { x, y: layout.y - 1 },
+        end: { x: x + lineWidth, y: layout.y - 1 },
+        thickness: 0.5,
+        color,
+      });
+      addLink(
+        layout.page,
+        [x, layout.y - 2, x + lineWidth, layout.y + size],
+        link
+      );
+    }
+    layout.y -= lineHeight;
+  }
+  return lines.length;
+}
+
+// Paragraphs are { text, bold, emphasis, gapAfter } from profile.commentParagraphs
+function drawParagraphs(layout, paragraphs, width) {
+  for (const p of paragraphs) {
+    if (!p.text) continue;
+    drawWrapped(layout, p.text, {
+      width,
+      font: p.bold ? layout.fonts.bold : layout.fonts.regular,
+      emphasis: p.emphasis ? layout.profile.emphasis : null,
+    });
+    layout.y -= p.gapAfter || 0;
+  }
+}
+
+function captionLines(layout, item, index, width) {
+  const { grid } = layout.profile;
+  const font = layout.fonts[grid.captionFont];
+  const fallback = grid.captionFallback
+    ? `${item.kind === "video" ? "Video" : "Photo"} ${index + 1}`
+    : "";
+  const text = safeText(font, item.caption || item.description || fallback);
+  if (!text) return [];
+  const lines = breakTextIntoLines(text, [" "], width, (t) =>
+    font.widthOfTextAtSize(t, grid.captionSize)
+  );
+  if (lines.length > grid.captionLines) {
+    layout.warnings.add(
+      "caption-truncated",
+      `Caption cut to ${grid.captionLines} line(s): "${text.slice(0, 60)}"`,
+      { url: item.url || null, commentId: layout.current?.comment?.id ?? null }
+    );
+  }
+  return lines.slice(0, grid.captionLines);
+}
+
+function drawCaption(layout, lines, x, y) {
+  const { grid } = layout.profile;
+  for (const line of lines) {
+    layout.page.drawText(line, {
+      x,
+      y,
+      size: grid.captionSize,
+      font: layout.fonts[grid.captionFont],
+      color: grid.captionColor,
+    });
+    y -= grid.captionSize + 2;
+  }
+}
+
+// Blue "VIDEO" tile that opens the video URL
+function drawVideoTile(layout, x, y, w, h, url) {
+  const { page } = layout;
+  const font = layout.fonts.bold;
+  page.drawRectangle({ x, y, width: w, height: h, color: VIDEO_BLUE });
+  const centerX = x + w / 2;
+  const centerY = y + h / 2;
+  page.drawCircle({
+    x: centerX,
+    y: centerY,
+    size: Math.min(w, h) / 8,
+    borderColor: rgb(1, 1, 1),
+    borderWidth: 2,
+  });
+  const size = 12;
+  page.drawText("VIDEO", {
+    x: centerX - font.widthOfTextAtSize("VIDEO", size) / 2,
+    y: centerY - size / 3,
+    size,
+    font,
+    color: rgb(1, 1, 1),
+  });
+  addLink(page, [x, y, x + w, y + h], url);
+}
+
+// What identifies a photo on its placeholder: the app's photo id, else when
+// it was taken
+function photoReference(item) {
+  if (item.id) return `Photo ID ${item.id}`;
+  const date = formatDate(item.timestamp);
+  if (!date) return "";
+  const d = new Date(item.timestamp);
+  const time = `${String(d.getHours()).padStart(2, "0")}:${String(
+    d.getMinutes()
+  ).padStart(2, "0")}`;
+  return `Taken ${date} ${time}`;
+}
+
+// Cut text to width, marking the cut with "..."
+function fitText(font, text, size, width) {
+  if (font.widthOfTextAtSize(text, size) <= width) return text;
+  let cut = text;
+  while (cut && font.widthOfTextAtSize(`${cut}...`, size) > width) {
+    cut = cut.slice(0, -1);
+  }
+  return cut ? `${cut}...` : "";
+}
+
+// Bordered "Photo unavailable" cell for a photo that could not be loaded;
+// it still opens the photo's web URL
+function drawPhotoPlaceholder(layout, x, y, w, h, item) {
+  const { page, fonts } = layout;
+  page.drawRectangle({
+    x,
+    y,
+    width: w,
+    height: h,
+    color: PLACEHOLDER_GRAY,
+    borderColor: CAPTION_GRAY,
+    borderWidth: 1,
+  });
+  const centerX = x + w / 2;
+  const centerY = y + h / 2;
+  const label = "Photo unavailable";
+  const size = 10;
+  page.drawText(label, {
+    x: centerX - fonts.bold.widthOfTextAtSize(label, size) / 2,
+    y: centerY + 2,
+    size,
+    font: fonts.bold,
+    color: CAPTION_GRAY,
+  });
+  const reference = fitText(
+    fonts.regular,
+    safeText(fonts.regular, photoReference(item)),
+    7,
+    w - 10
+  );
+  if (reference) {
+    page.drawText(reference, {
+      x: centerX - fonts.regular.widthOfTextAtSize(reference, 7) / 2,
+      y: centerY - 10,
+      size: 7,
+      font: fonts.regular,
+      color: CAPTION_GRAY,
+    });
+  }
+  // data: and local file URLs mean nothing to the reader
+  if (/^https?:\/\//i.test(item.url)) {
+    addLink(page, [x, y, x + w, y + h], item.url);
+  }
+}
+
+/**
+ * Lay out photos (and video tiles) in a grid of up to profile.grid.columns,
+ * scaling each image to fit its cell and keeping whole rows on one page.
+ * Photos that cannot be loaded keep their cell as a "Photo unavailable"
+ * placeholder, so numbering matches the inspector's app, and are reported
+ * in layout.warnings for options.comment (default: the comment being
+ * rendered).
+ * With options.columns the grid has exactly that many columns and every item
+ * keeps its cell: null items leave a gap instead (used for before/after
+ * pairs).
+ */
+async function drawMediaGrid(layout, items, options = {}) {
+  const { profile } = layout;
+  const { grid } = profile;
+  const fixedColumns = options.columns || null;
+  const cells = [];
+  for (const item of items) {
+    if (!item) {
+      if (fixedColumns) cells.push(null);
+      continue;
+    }
+    if (item.kind === "video") {
+      cells.push({ ...item });
+      continue;
+    }
+    const img = await embedImage(layout.doc, item.url, profile.image);
+    cells.push(img ? { ...item, img } : { ...item, unavailable: true });
+    if (!img) {
+      const reason = imageFailure(item.url) || "not a JPEG or PNG image";
+      layout.warnings.add("image-missing", `Photo unavailable: ${reason}`, {
+        url: item.url,
+        commentId: (options.comment || layout.current?.comment)?.id ?? null,
+        reason,
+      });
+    }
+  }
+  if (!cells.some(Boolean)) return;
+
+  ensureSpace(layout, 0);
+  const columns = fixedColumns || Math.min(grid.columns, cells.length);
+  const cellW = Math.floor(
+    (contentWidth(layout) - (columns - 1) * grid.gutter) / columns
+  );
+  const maxH =
+    typeof grid.maxCellHeight === "function"
+      ? grid.maxCellHeight(columns)
+      : grid.maxCellHeight;
+  for (const cell of cells) {
+    if (!cell) continue;
+    if (cell.img) {
+      const s = Math.min(cellW / cell.img.width, maxH / cell.img.height, 1);
+      cell.w = Math.floor(cell.img.width * s);
+      cell.h = Math.floor(cell.img.height * s);
+    } else {
+      cell.w = cellW;
+      cell.h = Math.min(maxH, Math.round(cellW * 0.75));
+    }
+  }
+
+  for (let i = 0; i < cells.length; i += columns) {
+    const row = cells.slice(i, i + columns);
+    if (!row.some(Boolean)) continue;
+    const captions = row.map((cell, c) =>
+      cell ? captionLines(layout, cell, i + c, cellW) : []
+    );
+    const captionH =
+      Math.max(0, ...captions.map((l) => l.length)) * (grid.captionSize + 2);
+    const rowHeight =
+      Math.max(...row.filter(Boolean).map((cell) => cell.h)) + captionH;
+    // Keep the whole row (images + captions) on one page
+    ensureSpace(layout, rowHeight + grid.rowSpacing);
+    const top = layout.y;
+    row.forEach((cell, c) => {
+      if (!cell) return;
+      const xCell = profile.contentX + c * (cellW + grid.gutter);
+      const xImg = xCell + Math.floor((cellW - cell.w) / 2);
+      const yImg = top - cell.h;
+      if (cell.img) {
+        layout.page.drawImage(cell.img, {
+          x: xImg,
+          y: yImg,
+          width: cell.w,
+          height: cell.h,
+        });
+      } else if (cell.unavailable) {
+        drawPhotoPlaceholder(layout, xImg, yImg, cell.w, cell.h, cell);
+      } else {
+        drawVideoTile(layout, xImg, yImg, cell.w, cell.h, cell.url);
+      }
+      drawCaption(layout, captions[c], xCell, yImg - grid.captionSize - 3);
+    });
+    layout.y -= rowHeight + grid.rowSpacing;
+  }
+}
+
+/**
+ * Single photo on the right with the comment text wrapped beside it.
+ * @returns {Promise<boolean>} false when the photo could not be loaded
+ */
+async function drawPhotoBesideText(layout, photo, paragraphs) {
+  const { profile } = layout;
+  const side = profile.photoBesideText;
+  const img = await embedImage(layout.doc, photo.url, profile.image);
+  if (!img) return false;
+
+  const s = Math.min(side.maxWidth / img.width, side.maxHeight / img.height, 1);
+  const w = Math.floor(img.width * s);
+  const h = Math.floor(img.height * s);
+  const captions = captionLines(layout, { ...photo, kind: "photo" }, 0, w);
+  const blockH = h + 12 + captions.length * (profile.grid.captionSize + 2) + 10;
+  ensureSpace(layout, blockH);
+
+  const page = layout.page;
+  const top = layout.y;
+  const x = page.getSize().width - profile.rightMargin - w;
+  page.drawImage(img, { x, y: top - h, width: w, height: h });
+  drawCaption(layout, captions, x, top - h - 12);
+
+  drawParagraphs(layout, paragraphs, contentWidth(layout) - w - 15);
+  // Continue below whichever column ends lower
+  if (layout.page === page) layout.y = Math.min(layout.y, top - blockH);
+  return true;
+}
+
+// ---- Report structure --------------------------------------------------------
+
+// Check box (ticked when checked) with its bottom-left corner at x, y
+function drawCheckGlyph(page, x, y, size, checked) {
+  page.drawRectangle({
+    x,
+    y,
+    width: size,
+    height: size,
+    borderColor: BLACK,
+    borderWidth: 0.75,
+  });
+  if (!checked) return;
+  const tick = [
+    [x + size * 0.2, y + size * 0.5],
+    [x + size * 0.42, y + size * 0.2],
+    [x + size * 0.82, y + size * 0.85],
+  ];
+  for (let i = 1; i < tick.length; i++) {
+    page.drawLine({
+      start: { x: tick[i - 1][0], y: tick[i - 1][1] },
+      end: { x: tick[i][0], y: tick[i][1] },
+      thickness: 1.2,
+      color: BLACK,
+    });
+  }
+}
+
+// Checklist options in profile.checklist.columns columns; picked options
+// are ticked and bold
+function drawChecklist(layout, items) {
+  const { profile, fonts } = layout;
+  const { columns, size } = profile.checklist;
+  const lineHeight = size + 3;
+  const box = size - 1;
+  const columnWidth = contentWidth(layout) / columns;
+  for (let i = 0; i < items.length; i += columns) {
+    const row = items.slice(i, i + columns);
+    const lines = row.map((item) =>
+      breakTextIntoLines(
+        safeText(fonts.bold, item.label),
+        [" "],
+        columnWidth - box - 10,
+        (t) => fonts.bold.widthOfTextAtSize(t, size)
+      )
+    );
+    const rowHeight = Math.max(...lines.map((l) => l.length)) * lineHeight;
+    ensureSpace(layout, rowHeight);
+    row.forEach((item, c) => {
+      const x = profile.contentX + c * columnWidth;
+      drawCheckGlyph(layout.page, x, layout.y - 1, box, item.checked);
+      lines[c].forEach((line, k) => {
+        layout.page.drawText(line, {
+          x: x + box + 5,
+          y: layout.y - k * lineHeight,
+          size,
+          font: item.checked ? fonts.bold : fonts.regular,
+          color: BLACK,
+        });
+      });
+    });
+    layout.y -= rowHeight;
+  }
+  layout.y -= 4;
+}
+
+async function renderComment(layout, comment, index) {
+  const { profile } = layout;
+  // Warnings about this comment's media name it
+  const parent = layout.current;
+  layout.current = { ...parent, comment };
+  const input = commentInput(comment) || { label: comment?.label };
+  const top = profile.drawCommentHeader(
+    layout,
+    { ...comment, label: input.label },
+    index
+  );
+  layout.anchors.push({
+    kind: "comment",
+    ...parent,
+    comment,
+    index,
+    page: layout.page,
+    y: top,
+  });
+
+  // A short text input already printed its value in the label
+  const paragraphs = profile.commentParagraphs(
+    input.bodyInLabel
+      ? { ...comment, content: "", text: "", commentText: "" }
+      : comment
+  );
+  const photos = layout.includeImages
+    ? (comment.photos || []).filter((p) => p?.url)
+    : [];
+  const videos = (comment.videos || []).filter((v) => v?.url);
+  const media = photos.map((p) => ({ ...p, kind: "photo" }));
+  if (profile.videos === "tiles" && layout.includeImages) {
+    media.push(...videos.map((v) => ({ ...v, kind: "video" })));
+  }
+
+  const besideText =
+    profile.photoBesideText &&
+    media.length === 1 &&
+    photos.length === 1 &&
+    (await drawPhotoBesideText(layout, photos[0], paragraphs));
+  if (!besideText) drawParagraphs(layout, paragraphs);
+  if (input.checklist?.length > 0) drawChecklist(layout, input.checklist);
+  if (!besideText) await drawMediaGrid(layout, media);
+
+  // Video links: "Video link n: <url>" (clickable, blue, underlined)
+  if (profile.videos === "links") {
+    videos.forEach((v, i) => {
+      drawWrapped(layout, `Video link ${i + 1}: ${v.url}`, {
+        color: LINK_BLUE,
+        separators: URL_SEPARATORS,
+        link: v.url,
+      });
+    });
+  }
+
+  // Bottom separator line after this comment
+  const { separator } = profile;
+  layout.y -= separator.before;
+  ensureSpace(layout, separator.thickness);
+  layout.page.drawRectangle({
+    x: profile.contentX,
+    y: layout.y,
+    width: contentWidth(layout),
+    height: separator.thickness,
+    color: separator.color,
+  });
+  layout.y -= separator.after;
+  layout.current = parent;
+}
+
+async function renderLineItem(layout, lineItem, index) {
+  const { profile } = layout;
+  let comments = (lineItem.comments || []).filter(isCommentShown);
+  if (profile.skipEmptyComments) {
+    for (const comment of comments.filter((c) => !commentHasContent(c))) {
+      layout.warnings.add(
+        "comment-skipped",
+        `Empty comment left out: ${comment.label || "(no label)"}`,
+        { commentId: comment.id ?? null, lineItemId: lineItem.id ?? null }
+      );
+    }
+    comments = comments.filter(commentHasContent);
+  }
+  if (comments.length === 0) {
+    // Never made-up text: omit the item, print it bare, or use the account's
+    // boilerplate (bare when it has none for this item)
+    const { policy, boilerplate } = layout.emptyItems;
+    if (policy === "boilerplate") {
+      comments = boilerplateComments(boilerplate, lineItem);
+    } else if (policy === "omit" && !(lineItem.selectedOptions?.length > 0)) {
+      return;
+    }
+  }
+
+  const top = profile.drawLineItemHeader(layout, lineItem, index);
+  layout.current = { ...layout.current, lineItem };
+  layout.anchors.push({
+    kind: "lineItem",
+    ...layout.current,
+    index,
+    page: layout.page,
+    y: top,
+  });
+  for (const [commentIndex, comment] of comments.entries()) {
+    await renderComment(layout, comment, commentIndex);
+  }
+  if (layout.editable && profile.drawLineItemNotes) {
+    profile.drawLineItemNotes(layout, lineItem);
+  }
+  layout.y -= profile.lineItemGap;
+}
+
+/**
+ * Render one section. `index` drives the section numbering (Roman numerals
+ * for TREC). Where each section, line item and comment starts is recorded in
+ * layout.anchors as { kind, section, sectionIndex, lineItem, comment, index,
+ * page, y } for summaries, outlines and tables of contents.
+ */
+async function renderSection(layout, section, index) {
+  const { profile } = layout;
+  const top = profile.drawSectionHeader(layout, section, index);
+  layout.current = { section, sectionIndex: index };
+  layout.anchors.push({
+    kind: "section",
+    ...layout.current,
+    index,
+    page: layout.page,
+    y: top,
+  });
+  for (const [lineItemIndex, lineItem] of (section.lineItems || []).entries()) {
+    await renderLineItem(layout, lineItem, lineItemIndex);
+  }
+  if (profile.drawSectionFooter) profile.drawSectionFooter(layout, section);
+  layout.y -= profile.sectionGap;
+}
+
+async function renderSections(layout, sections, options = {}) {
+  const { signal, onProgress = () => {} } = options;
+  for (const [index, section] of sections.entries()) {
+    throwIfAborted(signal);
+    onProgress(index / Math.max(sections.length, 1), "sections");
+    await renderSection(layout, section, index);
+  }
+}
+
+// Footers/page numbers go on last, once the final page count is known
+function finishPages(layout) {
+  const allPages = layout.doc.getPages();
+  const pages = layout.profile.footerOnEveryPage ? allPages : layout.pages;
+  for (const page of pages) {
+    layout.profile.drawPageFooter(
+      layout,
+      page,
+      allPages.indexOf(page) + 1,
+      allPages.length
+    );
+  }
+}
+
+/**
+ * @param {PDFDocument} pdfDoc
+ * @param {Object} options - { profile: "trec" | "modern", headerText,
+ *   fontFamily, includeImages, insertAt, emptyItems, formTemplate } where
+ *   emptyItems comes from resolveEmptyItemPolicy (default: the profile's
+ *   emptyItemPolicy) and formTemplate is a form-templates.js id or
+ *   definition for the "trec" profile's legend, checkboxes and footer
+ *   (default "trec"); branding (from resolveBranding) colors the "modern"
+ *   section title bars and tag badges; editable adds a notes field under
+ *   each "trec" line item, for reports whose form fields stay live; warnings
+ *   (from createWarnings) collects what was left out or replaced
+ */
+async function createLayout(pdfDoc, options = {}) {
+  const name = options.profile || "trec";
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown layout profile "${name}". Use one of: ${Object.keys(
+        PROFILES
+      ).join(", ")}`
+    );
+  }
+  const fonts = await embedReportFonts(pdfDoc, {
+    fontFamily: options.fontFamily,
+    fallback: profile.fallbackFont,
+  });
+  return {
+    doc: pdfDoc,
+    profile,
+    fonts,
+    headerText: options.headerText || profile.defaultHeaderText,
+    includeImages: options.includeImages !== false,
+    insertAt: Number.isInteger(options.insertAt) ? options.insertAt : null,
+    emptyItems: options.emptyItems || {
+      policy: profile.emptyItemPolicy,
+      boilerplate: null,
+      description: profile.emptyItemPolicy,
+    },
+    formTemplate:
+      typeof options.formTemplate === "object" && options.formTemplate
+        ? options.formTemplate
+        : getFormTemplate(options.formTemplate),
+    branding: options.branding || null,
+    editable: Boolean(options.editable),
+    warnings: options.warnings || createWarnings(),
+    page: null,
+    y: 0,
+    pages: [], // pages this layout added (excludes cover/header pages)
+    anchors: [], // where each section/line item/comment starts
+    current: null, // section/line item being rendered
+  };
+}
+
+// ---- "trec" profile ----------------------------------------------------------
+
+const CHECKBOX_SIZE = 12;
+const CHECKBOX_MIN_SPACING = 6;
+const CHECKBOX_MAX_SPACING = 14;
+
+// Evenly distribute the form's status boxes between the left margin and the
+// text column
+function checkboxXs(layout) {
+  const { profile } = layout;
+  const count = layout.formTemplate.statusCodes.length;
+  const available = Math.max(40, profile.contentX - profile.margin - 10);
+  let spacing = Math.floor(
+    (available - count * CHECKBOX_SIZE) / Math.max(count - 1, 1)
+  );
+  spacing = Math.min(
+    CHECKBOX_MAX_SPACING,
+    Math.max(CHECKBOX_MIN_SPACING, spacing)
+  );
+  const xs = [];
+  for (let i = 0; i < count; i++) {
+    xs.push(profile.margin + i * (CHECKBOX_SIZE + spacing));
+  }
+  return xs;
+}
+
+function trecSectionLabel(section, index) {
+  return `${intToRoman(index + 1)} ${section.name}`;
+}
+
+function trecLineItemLabel(lineItem, index) {
+  return `${lineItemLetter(index)}. ${lineItem.title || lineItem.name}`;
+}
+
+function trecCommentLabel(comment, index) {
+  return `${index + 1}. ${comment?.label || ""}`;
+}
+
+function trecPageTemplate(layout, page) {
+  const { profile } = layout;
+  const font = layout.fonts.regular;
+  const { width, height } = page.getSize();
+  const margin = profile.margin;
+  page.drawText(safeText(font, layout.headerText), {
+    x: margin,
+    y: height - 40,
+    size: 12,
+    font,
+    color: BLACK,
+  });
+  page.drawText(safeText(font, layout.formTemplate.legend), {
+    x: margin,
+    y: height - 60,
+    size: 11,
+    font,
+    color: BLACK,
+  });
+  // Slim legend box with the keys centered over the checkbox columns
+  const boxY = height - 95;
+  const boxHeight = 18;
+  page.drawRectangle({
+    x: margin,
+    y: boxY,
+    width: width - margin * 2,
+    height: boxHeight,
+    borderColor: BLACK,
+    borderWidth: 2,
+    color: rgb(1, 1, 1),
+  });
+  const xs = checkboxXs(layout);
+  // Vertically balance baseline so top/bottom padding look equal
+  const keysY = boxY + Math.round((boxHeight - 10) / 2) + 1;
+  layout.formTemplate.statusCodes.forEach(({ code }, i) => {
+    const label = safeText(font, code);
+    const labelWidth = font.widthOfTextAtSize(label, 10);
+    page.drawText(label, {
+      x: xs[i] + CHECKBOX_SIZE / 2 - labelWidth / 2,
+      y: keysY,
+      size: 10,
+      font,
+      color: BLACK,
+    });
+  });
+  return height - 120;
+}
+
+function trecPageFooter(layout, page, pageNumber, pageCount) {
+  const font = layout.fonts.regular;
+  const { width } = page.getSize();
+  const pageText = `Page ${pageNumber} of ${pageCount}`;
+  page.drawText(pageText, {
+    x: width / 2 - font.widthOfTextAtSize(pageText, 12) / 2,
+    y: 35,
+    size: 12,
+    font,
+    color: BLACK,
+  });
+  const { formNumber, text, link } = layout.formTemplate.footer;
+  if (formNumber) {
+    page.drawText(safeText(font, formNumber), {
+      x: 40,
+      y: 20,
+      size: 9,
+      font,
+      color: BLACK,
+    });
+  }
+  // Promulgation line centered, its link part blue and underlined
+  const footerTextLeft = safeText(font, text);
+  const footerTextRight = link ? safeText(font, link.text) : "";
+  const leftWidth = font.widthOfTextAtSize(footerTextLeft, 9);
+  const rightWidth = font.widthOfTextAtSize(footerTextRight, 9);
+  const startX = width / 2 - (leftWidth + rightWidth) / 2;
+  page.drawText(footerTextLeft, {
+    x: startX,
+    y: 20,
+    size: 9,
+    font,
+    color: BLACK,
+  });
+  if (!link) return;
+  page.drawText(footerTextRight, {
+    x: startX + leftWidth,
+    y: 20,
+    size: 9,
+    font,
+    color: LINK_BLUE,
+  });
+  page.drawLine({
+    start: { x: startX + leftWidth, y: 19 },
+    end: { x: startX + leftWidth + rightWidth, y: 19 },
+    thickness: 0.5,
+    color: LINK_BLUE,
+  });
+  if (link.url) {
+    addLink(
+      page,
+      [startX + leftWidth, 18, startX + leftWidth + rightWidth, 29],
+      link.url
+    );
+  }
+}
+
+function trecSectionHeader(layout, section, index) {
+  const font = layout.fonts.regular;
+  ensureSpace(layout, 40);
+  const { width } = layout.page.getSize();
+  const title = safeText(font, trecSectionLabel(section, index));
+  const top = layout.y;
+  layout.page.drawText(title, {
+    x: width / 2 - font.widthOfTextAtSize(title, 12) / 2,
+    y: layout.y,
+    size: 12,
+    font,
+    color: BLACK,
+  });
+  layout.y -= 30;
+  return top + 12;
+}
+
+function trecLineItemHeader(layout, lineItem, index) {
+  const { profile, fonts } = layout;
+  // Line-item header + checkboxes
+  ensureSpace(layout, 70);
+  const top = layout.y + 19;
+  const form = layout.doc.getForm();
+  const xs = checkboxXs(layout);
+  layout.formTemplate.statusCodes.forEach(({ status }, i) => {
+    const checkBox = form.createCheckBox(`lineItem.${lineItem.id}.${status}`);
+    checkBox.addToPage(layout.page, {
+      x: xs[i],
+      y: layout.y,
+      width: CHECKBOX_SIZE,
+      height: CHECKBOX_SIZE,
+      textColor: BLACK,
+      backgroundColor: rgb(1, 1, 1),
+      borderColor: BLACK,
+      borderWidth: 1,
+    });
+    const checked = lineItem.isDeficient
+      ? status === "D"
+      : status === lineItem.inspectionStatus;
+    if (checked) checkBox.check();
+  });
+  const title = trecLineItemLabel(lineItem, index);
+  layout.page.drawText(safeText(fonts.regular, title), {
+    x: profile.contentX,
+    y: layout.y + 7,
+    size: 12,
+    font: fonts.regular,
+    color: BLACK,
+  });
+  layout.y -= 5;
+  // Comments: label plus at least one line, so the label is never orphaned
+  ensureSpace(layout, 32);
+  layout.page.drawText("Comments: ", {
+    x: profile.contentX,
+    y: layout.y,
+    size: 10,
+    font: fonts.italic,
+    color: BLACK,
+  });
+  layout.y -= 12;
+  return top;
+}
+
+const NOTES_FIELD_HEIGHT = 36;
+
+// Fillable notes under a line item's comments (editable reports only)
+function trecLineItemNotes(layout, lineItem) {
+  const { profile, fonts } = layout;
+  ensureSpace(layout, NOTES_FIELD_HEIGHT + 16);
+  layout.page.drawText("Notes: ", {
+    x: profile.contentX,
+    y: layout.y,
+    size: 10,
+    font: fonts.italic,
+    color: BLACK,
+  });
+  layout.y -= 4;
+  const notes = layout.doc
+    .getForm()
+    .createTextField(`lineItem.${lineItem.id}.notes`);
+  notes.enableMultiline();
+  const text = lineItem.notes ? String(lineItem.notes) : "";
+  notes.setText(safeText(fonts.regular, text));
+  notes.addToPage(layout.page, {
+    x: profile.contentX,
+    y: layout.y - NOTES_FIELD_HEIGHT,
+    width: contentWidth(layout),
+    height: NOTES_FIELD_HEIGHT,
+    textColor: BLACK,
+    backgroundColor: rgb(1, 1, 1),
+    borderColor: BLACK,
+    borderWidth: 0.5,
+    // Drawn with the report font (pdf-lib's default Helvetica is WinAnsi
+    // only); characters it lacks were replaced above and end up in warnings
+    font: fonts.regular,
+  });
+  // Also for the appearance rebuilt on save, which uses the default font
+  notes.updateAppearances(fonts.regular);
+  // The value keeps the full text, so /importEdits does not read the
+  // replacements as an edit
+  if (text) notes.acroField.setValue(PDFHexString.fromText(text));
+  layout.y -= NOTES_FIELD_HEIGHT + 8;
+}
+
+function trecCommentHeader(layout, comment, index) {
+  ensureSpace(layout, 12);
+  const top = layout.y + 10;
+  // Wraps, since "Label: value" text inputs can run long
+  drawWrapped(layout, trecCommentLabel(comment, index), {
+    size: 10,
+    lineHeight: 12,
+    font: layout.fonts.bold,
+  });
+  return top;
+}
+
+// ---- "modern" profile --------------------------------------------------------
+
+const TAG_COLORS = {
+  "MAINTENANCE ITEM": rgb(0.2, 0.5, 0.9),
+  "MAINTENANCE-ITEM": rgb(0.2, 0.5, 0.9),
+  RECOMMENDATION: rgb(0, 0.6, 0.2),
+  "SAFETY HAZARD": rgb(0.8, 0, 0),
+  "SAFETY-HAZARD": rgb(0.8, 0, 0),
+  REPAIR: rgb(0.9, 0.4, 0),
+  OTHER: rgb(0.5, 0.5, 0.5),
+};
+// Body lines containing one of these are set in bold
+const EMPHASIS_KEYWORDS = [
+  "Maintenance",
+  "Recommendation",
+  "Safety Hazard",
+  "Immediate Attention",
+  "Monitor",
+  "Repair",
+  "Replace",
+];
+const TAG_SIZE = 11;
+const TAG_PADDING = 5;
+const TAG_SPACING = 8;
+
+function modernTags(layout, comment) {
+  const tags = [];
+  const mainTag = comment.tag
+    ? safeText(layout.fonts.bold, comment.tag).toUpperCase()
+    : "";
+  if (mainTag) tags.push(mainTag);
+  if (comment.recommendation?.trim() && !mainTag.includes("RECOMMENDATION")) {
+    tags.push("RECOMMENDATION");
+  }
+  return tags;
+}
+
+function tagWidth(layout, text) {
+  return layout.fonts.bold.widthOfTextAtSize(text, TAG_SIZE) + TAG_PADDING * 4;
+}
+
+// Branding colors named tags and, with its accent, tags without a color
+function tagColor(layout, text) {
+  const colors = layout.branding?.colors;
+  const match = (table) =>
+    Object.entries(table).find(([key]) => text.includes(key))?.[1];
+  return (
+    (colors && match(colors.tags)) ||
+    match(TAG_COLORS) ||
+    colors?.accent ||
+    TAG_COLORS.OTHER
+  );
+}
+
+// Rounded badges, drawn right to left ending at rightX
+function drawTagBadges(layout, tags, rightX, baselineY) {
+  const { page } = layout;
+  const font = layout.fonts.bold;
+  const tagHeight = TAG_SIZE + 1 + TAG_PADDING * 2;
+  const r = 4;
+  let x = rightX;
+  for (const text of [...tags].reverse()) {
+    const color = tagColor(layout, text);
+    const w = tagWidth(layout, text);
+    const tagX = x - w;
+    const tagY = baselineY - TAG_PADDING;
+    page.drawRectangle({
+      x: tagX + r,
+      y: tagY,
+      width: w - r * 2,
+      height: tagHeight,
+      color,
+    });
+    page.drawRectangle({
+      x: tagX,
+      y: tagY + r,
+      width: w,
+      height: tagHeight - r * 2,
+      color,
+    });
+    for (const [cx, cy] of [
+      [tagX + r, tagY + r],
+      [tagX + w - r, tagY + r],
+      [tagX + r, tagY + tagHeight - r],
+      [tagX + w - r, tagY + tagHeight - r],
+    ]) {
+      page.drawCircle({ x: cx, y: cy, size: r, color });
+    }
+    page.drawText(text, {
+      x: tagX + TAG_PADDING * 2,
+      y: baselineY + 2,
+      size: TAG_SIZE,
+      font,
+      color: rgb(1, 1, 1),
+    });
+    x = tagX - TAG_SPACING;
+  }
+}
+
+function modernSectionLabel(section, index) {
+  return `${section.sectionNumber || index + 1}. ${section.name}`;
+}
+
+function modernLineItemLabel(lineItem) {
+  return lineItem.name || lineItem.title;
+}
+
+function modernCommentLabel(comment) {
+  const label = comment.label || `Comment ${comment.commentNumber || ""}`;
+  return [comment.commentNumber, label].filter(Boolean).join(" ");
+}
+
+function modernPageTemplate(layout, page) {
+  const { margin } = layout.profile;
+  const font = layout.fonts.regular;
+  const { width, height } = page.getSize();
+  page.drawText(safeText(font, layout.headerText), {
+    x: margin,
+    y: height - 30,
+    size: 9,
+    font,
+    color: rgb(0.5, 0.5, 0.5),
+  });
+  page.drawLine({
+    start: { x: margin, y: height - 40 },
+    end: { x: width - margin, y: height - 40 },
+    thickness: 0.5,
+    color: rgb(0.7, 0.7, 0.7),
+  });
+  return height - 60;
+}
+
+// Page number in the running header, right aligned
+function modernPageFooter(layout, page, pageNumber) {
+  const font = layout.fonts.regular;
+  const { width, height } = page.getSize();
+  const text = `Page ${pageNumber}`;
+  page.drawText(text, {
+    x: width - layout.profile.margin - font.widthOfTextAtSize(text, 9),
+    y: height - 30,
+    size: 9,
+    font,
+    color: rgb(0.5, 0.5, 0.5),
+  });
+}
+
+// Every section starts on a new page under a centered title bar, gray or a
+// light tint of the account's primary color
+function modernSectionHeader(layout, section) {
+  const { margin } = layout.profile;
+  const primary = layout.branding?.colors.primary;
+  const font = layout.fonts.bold;
+  addPage(layout);
+  const { width } = layout.page.getSize();
+  const title = safeText(font, section.name).toUpperCase();
+  const size = 16;
+  const padding = 10;
+  const top = layout.y;
+  const rectHeight = size + padding * 2;
+  layout.page.drawRectangle({
+    x: margin,
+    y: layout.y - size - padding,
+    width: width - margin * 2,
+    height: rectHeight,
+    color: primary ? tint(primary, 0.85) : rgb(0.95, 0.95, 0.95),
+    borderColor: primary || rgb(0.7, 0.7, 0.7),
+    borderWidth: 0.5,
+  });
+  layout.page.drawText(title, {
+    x: (width - font.widthOfTextAtSize(title, size)) / 2,
+    y: layout.y - padding - size / 2,
+    size,
+    font,
+    color: rgb(0.1, 0.1, 0.1),
+  });
+  layout.y -= rectHeight + 20;
+  return top + padding;
+}
+
+function modernSectionFooter(layout) {
+  const { margin } = layout.profile;
+  const font = layout.fonts.regular;
+  ensureSpace(layout, 40);
+  const { width } = layout.page.getSize();
+  layout.y -= 20;
+  layout.page.drawLine({
+    start: { x: margin, y: layout.y },
+    end: { x: width - margin, y: layout.y },
+    thickness: 2,
+    color: rgb(0.3, 0.3, 0.3),
+  });
+  layout.y -= 15;
+  const text = safeText(font, "— End of Section —");
+  layout.page.drawText(text, {
+    x: (width - font.widthOfTextAtSize(text, 11)) / 2,
+    y: layout.y,
+    size: 11,
+    font,
+    color: rgb(0.5, 0.5, 0.5),
+  });
+}
+
+function modernLineItemHeader(layout, lineItem) {
+  const font = layout.fonts.bold;
+  ensureSpace(layout, 70);
+  const top = layout.y + 14;
+  layout.page.drawText(safeText(font, modernLineItemLabel(lineItem)), {
+    x: layout.profile.margin + 10,
+    y: layout.y,
+    size: 14,
+    font,
+    color: rgb(0.2, 0.2, 0.2),
+  });
+  layout.y -= 24;
+  return top;
+}
+
+// "<number> LABEL" in caps with the comment's tags as badges on the right
+function modernCommentHeader(layout, comment) {
+  const { profile } = layout;
+  const font = layout.fonts.bold;
+  ensureSpace(layout, 120);
+  const top = layout.y + 15;
+  const { width } = layout.page.getSize();
+  const tags = modernTags(layout, comment);
+  const tagsWidth = tags.reduce(
+    (sum, t) => sum + tagWidth(layout, t) + TAG_SPACING,
+    0
+  );
+  const label = (
+    comment.label || `Comment ${comment.commentNumber || ""}`
+  ).toUpperCase();
+  const header = [comment.commentNumber, label].filter(Boolean).join(" ");
+  const size = 15;
+  const lines = breakTextIntoLines(
+    safeText(font, header),
+    [" "],
+    contentWidth(layout) - tagsWidth - 20,
+    (t) => font.widthOfTextAtSize(t, size)
+  );
+  lines.forEach((line, i) => {
+    layout.page.drawText(line, {
+      x: profile.contentX,
+      y: layout.y,
+      size,
+      font,
+      color: BLACK,
+    });
+    if (i === 0 && tags.length > 0) {
+      drawTagBadges(layout, tags, width - profile.rightMargin, layout.y);
+    }
+    layout.y -= profile.text.lineHeight + (i === 0 ? 5 : 0);
+  });
+  layout.y -= 5;
+  return top;
+}
+
+function modernCommentParagraphs(comment) {
+  // Checklists show their picks as ticked options instead
+  const options = commentInput(comment)?.checklist
+    ? []
+    : comment.selectedOptions || [];
+  return [
+    {
+      text: comment.location && `Location: ${comment.location}`,
+      bold: true,
+      gapAfter: 3,
+    },
+    {
+      text: options.length > 0 && `Selected: ${options.join(", ")}`,
+      gapAfter: 3,
+    },
+    { text: commentBody(comment), emphasis: true },
+    {
+      text:
+        comment.recommendation?.trim() &&
+        `Recommendation: Contact ${comment.recommendation}`,
+      gapAfter: 3,
+    },
+  ];
+}
+
+const PROFILES = {
+  trec: {
+    name: "trec",
+    fallbackFont: "times",
+    defaultHeaderText: "Report Identification",
+    margin: 20,
+    contentX: 130, // line items sit right of the checkbox columns
+    rightMargin: 20,
+    bottomLimit: 100, // keeps content above the footer (page number + TREC line)
+    footerOnEveryPage: true,
+    image: { maxDim: 1600, quality: 70 },
+    text: { size: 10, lineHeight: 12 },
+    checklist: { columns: 3, size: 9 },
+    grid: {
+      columns: 3,
+      gutter: 12,
+      maxCellHeight: 240,
+      rowSpacing: 24,
+      captionSize: 9,
+      captionLines: 1,
+      captionFont: "italic",
+      captionColor: BLACK,
+      captionFallback: false,
+    },
+    videos: "links",
+    photoBesideText: null,
+    separator: {
+      before: 10,
+      after: 10,
+      thickness: 1,
+      color: rgb(0.85, 0.85, 0.85),
+    },
+    emptyItemPolicy: "checkboxes",
+    skipEmptyComments: false,
+    lineItemGap: 10,
+    sectionGap: 20,
+    sectionLabel: trecSectionLabel,
+    lineItemLabel: trecLineItemLabel,
+    commentLabel: trecCommentLabel,
+    drawPageTemplate: trecPageTemplate,
+    drawPageFooter: trecPageFooter,
+    drawSectionHeader: trecSectionHeader,
+    drawSectionFooter: null,
+    drawLineItemHeader: trecLineItemHeader,
+    drawLineItemNotes: trecLineItemNotes,
+    drawCommentHeader: trecCommentHeader,
+    commentParagraphs: (comment) => [{ text: commentBody(comment) }],
+    emphasis: null,
+  },
+  modern: {
+    name: "modern",
+    fallbackFont: "times",
+    defaultHeaderText: "Property Inspection Report",
+    margin: 20,
+    contentX: 35,
+    rightMargin: 35,
+    bottomLimit: 50,
+    footerOnEveryPage: false,
+    image: { maxDim: 1200, quality: 60 },
+    text: { size: 12, lineHeight: 16 },
+    checklist: { columns: 2, size: 11 },
+    grid: {
+      columns: 3,
+      gutter: 12,
+      maxCellHeight: (columns) => (columns <= 2 ? 200 : 150),
+      rowSpacing: 25,
+      captionSize: 9,
+      captionLines: 2,
+      captionFont: "regular",
+      captionColor: CAPTION_GRAY,
+      captionFallback: true,
+    },
+    videos: "tiles",
+    photoBesideText: { maxWidth: 170, maxHeight: 200 },
+    separator: {
+      before: 5,
+      after: 20,
+      thickness: 0.5,
+      color: rgb(0.8, 0.8, 0.8),
+    },
+    emptyItemPolicy: "omit",
+    skipEmptyComments: true,
+    lineItemGap: 15,
+    sectionGap: 0,
+    sectionLabel: modernSectionLabel,
+    lineItemLabel: modernLineItemLabel,
+    commentLabel: modernCommentLabel,
+    drawPageTemplate: modernPageTemplate,
+    drawPageFooter: modernPageFooter,
+    drawSectionHeader: modernSectionHeader,
+    drawSectionFooter: modernSectionFooter,
+    drawLineItemHeader: modernLineItemHeader,
+    drawCommentHeader: modernCommentHeader,
+    commentParagraphs: modernCommentParagraphs,
+    emphasis: (line) => EMPHASIS_KEYWORDS.some((k) => line.includes(k)),
+  },
+};
+
+module.exports = {
+  PROFILES,
+  intToRoman,
+  lineItemLetter,
+  formatDate,
+  inspectionAddress,
+  inspectionDate,
+  reportHeaderText,
+  throwIfAborted,
+  commentBody,
+  commentInput,
+  isCommentShown,
+  commentHasContent,
+  addLink,
+  createLayout,
+  addPage,
+  ensureSpace,
+  contentWidth,
+  drawWrapped,
+  drawMediaGrid,
+  renderComment,
+  renderLineItem,
+  renderSection,
+  renderSections,
+  finishPages,
+};
@@ -0,0 +1,275 @@
+const sharp = require("sharp");
+const imageCache = require("./image-cache");
+const { fetchImageUrl } = require("./image-fetch");
+const { isLocalMediaUrl, readLocalMedia } = require("./local-media");
+
+/**
+ * Report media
+ * One download + compression pipeline for every renderer: images are fetched
+ * once, recompressed with sharp to the size/quality the style profile asks
+ * for, and embedded once per document. Downloads and compressed variants
+ * are kept on disk by image-cache.js; in memory only the most recently used
+ * IMAGE_MEMORY_CACHE_MB are held. data: URLs and files under
+ * IMAGE_MEDIA_ROOT are read by local-media.js instead of downloaded.
+ */
+
+const IMAGE_MEMORY_CACHE_BYTES =
+  (Number(process.env.IMAGE_MEMORY_CACHE_MB) || 256) * 1024 * 1024;
+// Compression is CPU bound, so it runs in batches rather than all at once
+const COMPRESS_BATCH = 15;
+const DEFAULT_COMPRESSION = { maxDim: 1600, quality: 70 };
+// A failed download is retried by the next report after this long
+const FAILURE_TTL_MS = 60 * 1000;
+const MAX_FAILURES = 1000;
+
+/**
+ * Map of key -> Promise<Buffer|null> that forgets the least recently used
+ * buffers past maxBytes. Pending loads count as 0 bytes; failed ones (null)
+ * are forgotten after FAILURE_TTL_MS, so a later report tries again.
+ */
+function createMemoryCache(maxBytes) {
+  const entries = new Map(); // insertion order = least recently used first
+  let total = 0;
+  const remove = (key, entry) => {
+    if (entries.get(key) !== entry) return;
+    entries.delete(key);
+    total -= entry.size;
+  };
+  return {
+    has: (key) => entries.has(key),
+    get(key) {
+      const entry = entries.get(key);
+      // Re-insert to mark it most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      const entry = { value, size: 0 };
+      entries.set(key, entry);
+      value.then((buffer) => {
+        if (entries.get(key) !== entry) return;
+        if (!buffer) {
+          setTimeout(() => remove(key, entry), FAILURE_TTL_MS).unref();
+          return;
+        }
+        entry.size = buffer.length;
+        total += entry.size;
+        for (const [oldKey, old] of entries) {
+          if (total <= maxBytes) break;
+          if (old !== entry) remove(oldKey, old);
+        }
+      });
+    },
+  };
+}
+
+const rawCache = createMemoryCache(IMAGE_MEMORY_CACHE_BYTES); // url -> Promise<Buffer|null>
+const compressedCache = createMemoryCache(IMAGE_MEMORY_CACHE_BYTES); // url|maxDim|quality -> Promise<Buffer|null>
+const docImageCache = new WeakMap(); // PDFDocument -> Map(key -> PDFImage|null)
+const failures = new Map(); // url -> why its last download failed
+
+function recordFailure(url, reason) {
+  failures.delete(url);
+  failures.set(url, reason);
+  if (failures.size > MAX_FAILURES) {
+    failures.delete(failures.keys().next().value);
+  }
+}
+
+// Disk cache first; a cached URL is revalidated with its ETag/Last-Modified
+// once it is no longer fresh, and served stale when the server is unreachable
+async function fetchImage(url) {
+  // Nothing to download, so nothing for the disk cache either
+  if (isLocalMediaUrl(url)) {
+    const { body, reason } = await readLocalMedia(url);
+    if (body) failures.delete(url);
+    else recordFailure(url, reason);
+    return body;
+  }
+
+  const cached = await imageCache.lookupUrl(url);
+  if (cached?.fresh) {
+    const body = await imageCache.readRaw(cached);
+    if (body) return body;
+  }
+
+  const conditional = {};
+  if (cached?.etag) conditional["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) {
+    conditional["If-Modified-Since"] = cached.lastModified;
+  }
+  let res = await fetchImageUrl(url, { headers: conditional });
+  if (res.statusCode === 304 && cached) {
+    const body = await imageCache.readRaw(cached);
+    if (body) {
+      await imageCache.markRevalidated(cached);
+      return body;
+    }
+    // Evicted since the lookup; ask again without validators
+    res = await fetchImageUrl(url);
+  }
+  if (res.body) {
+    failures.delete(url);
+    await imageCache.storeRaw(url, res.body, {
+      etag: res.headers.etag,
+      lastModified: res.headers["last-modified"],
+    });
+    return res.body;
+  }
+  // An unreachable server is no reason to drop a photo we already have
+  const unreachable = !res.statusCode || res.statusCode >= 500;
+  const stale = unreachable ? await imageCache.readRaw(cached) : null;
+  if (!stale) recordFailure(url, res.reason || `http ${res.statusCode}`);
+  return stale;
+}
+
+function downloadImage(url) {
+  if (rawCache.has(url)) return rawCache.get(url);
+  const pending = fetchImage(url).catch((err) => {
+    recordFailure(url, err.message);
+    return null;
+  });
+  rawCache.set(url, pending);
+  return pending;
+}
+
+/**
+ * Why an image could not be downloaded ("timeout", "http 404", ...), or
+ * null when it was not attempted or loaded fine.
+ */
+function imageFailure(url) {
+  return failures.get(url) || null;
+}
+
+// Downscale to fit maxDim and re-encode as JPEG on a white background
+async function compressImage(buffer, compression = DEFAULT_COMPRESSION) {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(compression.maxDim, compression.maxDim, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: compression.quality })
+      .toBuffer();
+  } catch (err) {
+    console.warn("Image compression failed, using original:", err.message);
+    return buffer;
+  }
+}
+
+/**
+ * Download and compress an image, once per compression setting unless the
+ * memory cache has let it go (the disk cache usually still has it).
+ * @returns {Promise<Buffer|null>} null when the image cannot be fetched
+ */
+function loadImage(url, compression = DEFAULT_COMPRESSION) {
+  if (!url) return Promise.resolve(null);
+  const key = `${url}|${compression.maxDim}|${compression.quality}`;
+  if (compressedCache.has(key)) return compressedCache.get(key);
+  const pending = downloadImage(url).then(async (raw) => {
+    if (!raw) return null;
+    const hash = imageCache.contentHash(raw);
+    const cached = await imageCache.readCompressed(hash, compression);
+    if (cached) return cached;
+    const compressed = await compressImage(raw, compression);
+    await imageCache.storeCompressed(hash, compression, compressed);
+    return compressed;
+  });
+  compressedCache.set(key, pending);
+  return pending;
+}
+
+/**
+ * Embed an image into a document, reusing the same PDFImage when a photo
+ * appears more than once.
+ * @returns {Promise<PDFImage|null>}
+ */
+async function embedImage(pdfDoc, url, compression = DEFAULT_COMPRESSION) {
+  let perDoc = docImageCache.get(pdfDoc);
+  if (!perDoc) {
+    perDoc = new Map();
+    docImageCache.set(pdfDoc, perDoc);
+  }
+  const key = `${url}|${compression.maxDim}|${compression.quality}`;
+  if (perDoc.has(key)) return perDoc.get(key);
+
+  const pending = (async () => {
+    const buffer = await loadImage(url, compression);
+    if (!buffer) return null;
+    try {
+      return await pdfDoc.embedJpg(buffer);
+    } catch {
+      // Compression fell back to the original bytes, which may be a PNG
+      try {
+        return await pdfDoc.embedPng(buffer);
+      } catch {
+        return null;
+      }
+    }
+  })();
+  perDoc.set(key, pending);
+  return pending;
+}
+
+// Every photo URL in an inspection (plus the cover image when present)
+function collectImageUrls(inspection) {
+  const urls = new Set();
+  if (inspection?.headerImageUrl) urls.add(inspection.headerImageUrl);
+  for (const section of inspection?.sections || []) {
+    for (const lineItem of section.lineItems || []) {
+      for (const comment of lineItem.comments || []) {
+        for (const photo of comment.photos || []) {
+          if (photo?.url) urls.add(photo.url);
+        }
+      }
+    }
+  }
+  return Array.from(urls);
+}
+
+/**
+ * Download every image (as many at once as image-fetch.js allows), then
+ * compress in batches, so rendering only ever hits the cache. Images that
+ * fail are logged with the reason.
+ * @returns {Promise<number>} number of images that loaded
+ */
+async function preloadImages(urls, compression = DEFAULT_COMPRESSION) {
+  if (urls.length === 0) return 0;
+  console.log(`🚀 Pre-loading ${urls.length} images...`);
+  const startTime = Date.now();
+
+  await Promise.allSettled(urls.map((url) => downloadImage(url)));
+  let loaded = 0;
+  for (let i = 0; i < urls.length; i += COMPRESS_BATCH) {
+    const batch = urls.slice(i, i + COMPRESS_BATCH);
+    const results = await Promise.all(
+      batch.map((url) => loadImage(url, compression))
+    );
+    loaded += results.filter(Boolean).length;
+  }
+
+  const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  console.log(`   ✅ ${loaded}/${urls.length} images ready in ${loadTime}s`);
+  const failed = urls.filter((url) => imageFailure(url));
+  for (const url of failed.slice(0, 5)) {
+    console.warn(`   ⚠️  ${url}: ${imageFailure(url)}`);
+  }
+  if (failed.length > 5) {
+    console.warn(`   ⚠️  ...and ${failed.length - 5} more`);
+  }
+  return loaded;
+}
+
+module.exports = {
+  DEFAULT_COMPRESSION,
+  downloadImage,
+  imageFailure,
+  compressImage,
+  loadImage,
+  embedImage,
+  collectImageUrls,
+  preloadImages,
+};
@@ -0,0 +1,129 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+} = require("pdf-lib");
+
+/**
+ * PDF outline (bookmarks)
+ * Writes a hierarchical /Outlines tree so the report is navigable from any
+ * reader's sidebar. Entries are { title, page, y, open, children }, where
+ * `page` is a PDFPage of the document and `y` the top of the target (null
+ * keeps the reader's current position on that page).
+ */
+
+function writeOutlineItems(context, entries, parentRef) {
+  const refs = entries.map(() => context.nextRef());
+  let visible = entries.length;
+  entries.forEach((entry, i) => {
+    const item = {
+      Title: PDFHexString.fromText(entry.title || ""),
+      Parent: parentRef,
+      Dest: [entry.page.ref, "XYZ", null, entry.y ?? null, null],
+    };
+    if (i > 0) item.Prev = refs[i - 1];
+    if (i < refs.length - 1) item.Next = refs[i + 1];
+    if (entry.children?.length > 0) {
+      const children = writeOutlineItems(context, entry.children, refs[i]);
+      item.First = children.first;
+      item.Last = children.last;
+      // Negative count = closed; magnitude is what opening it would reveal
+      item.Count = entry.open ? children.count : -children.count;
+      if (entry.open) visible += children.count;
+    }
+    context.assign(refs[i], context.obj(item));
+  });
+  return { first: refs[0], last: refs[refs.length - 1], count: visible };
+}
+
+/**
+ * Replace the document outline with `entries` and open the outline panel
+ * when the PDF is opened.
+ */
+function addOutline(pdfDoc, entries) {
+  const items = entries.filter((e) => e && e.page);
+  if (items.length === 0) return;
+  const { context, catalog } = pdfDoc;
+  const rootRef = context.nextRef();
+  const { first, last, count } = writeOutlineItems(context, items, rootRef);
+  context.assign(
+    rootRef,
+    context.obj({ Type: "Outlines", First: first, Last: last, Count: count })
+  );
+  catalog.set(PDFName.of("Outlines"), rootRef);
+  catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+}
+
+/**
+ * Section -> line item -> comment entries from layout.anchors, titled the
+ * way the layout profile numbers them.
+ */
+function outlineFromAnchors(layout) {
+  const { profile } = layout;
+  const roots = [];
+  let section = null;
+  let lineItem = null;
+  for (const anchor of layout.anchors) {
+    const entry = { page: anchor.page, y: anchor.y, children: [] };
+    if (anchor.kind === "section") {
+      entry.title = profile.sectionLabel(anchor.section, anchor.index);
+      roots.push(entry);
+      section = entry;
+      lineItem = null;
+    } else if (anchor.kind === "lineItem") {
+      entry.title = profile.lineItemLabel(anchor.lineItem, anchor.index);
+      (section ? section.children : roots).push(entry);
+      lineItem = entry;
+    } else {
+      entry.title = profile.commentLabel(anchor.comment, anchor.index);
+      (lineItem || section || { children: roots }).children.push(entry);
+    }
+  }
+  return roots;
+}
+
+/**
+ * Read back an outline written by addOutline (explicit /Dest arrays), as
+ * entries with `pageIndex` in place of `page`, so it can be re-attached
+ * after the pages are copied into another document.
+ */
+function readOutline(pdfDoc) {
+  const { context, catalog } = pdfDoc;
+  const root = catalog.lookupMaybe(PDFName.of("Outlines"), PDFDict);
+  if (!root) return [];
+  const pageRefs = pdfDoc.getPages().map((p) => p.ref);
+  const seen = new Set();
+
+  const readItems = (ref) => {
+    const entries = [];
+    while (ref && !seen.has(ref)) {
+      seen.add(ref);
+      const item = context.lookupMaybe(ref, PDFDict);
+      if (!item) break;
+      const dest = item.lookupMaybe(PDFName.of("Dest"), PDFArray);
+      const count = item.lookupMaybe(PDFName.of("Count"), PDFNumber);
+      entries.push({
+        title:
+          item
+            .lookupMaybe(PDFName.of("Title"), PDFString, PDFHexString)
+            ?.decodeText() || "",
+        pageIndex: dest ? pageRefs.indexOf(dest.get(0)) : -1,
+        y: dest?.lookupMaybe(3, PDFNumber)?.asNumber() ?? null,
+        open: count ? count.asNumber() > 0 : false,
+        children: readItems(item.get(PDFName.of("First"))),
+      });
+      ref = item.get(PDFName.of("Next"));
+    }
+    return entries;
+  };
+  return readItems(root.get(PDFName.of("First")));
+}
+
+module.exports = {
+  addOutline,
+  outlineFromAnchors,
+  readOutline,
+};
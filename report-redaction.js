@@ -0,0 +1,115 @@
+/**
+ * PII redaction
+ * Copies of a report for contractors and other third parties should not
+ * carry the client's contact details or the fee. options.redact renders
+ * from a copy of the inspection with those fields removed (or masked), so
+ * they drop out everywhere a renderer would print them: header page fields,
+ * cover page columns, page headers and file names alike.
+ *
+ * Paths are JSON pointers into the inspection ("/clientInfo/email", an
+ * optional "/inspection" prefix is ignored) or dotted paths
+ * ("clientInfo.email", "agents[0].agent.phone"); "*" matches every array
+ * item or key at that level.
+ */
+
+// Redacted whenever options.redact is set
+const DEFAULT_REDACTED_PATHS = [
+  "/clientInfo/email",
+  "/clientInfo/phone",
+  "/agents/*/agent/phone",
+  "/fee",
+  "/bookingFormData",
+];
+const REDACT_MODES = ["remove", "mask"];
+const REDACTED_TEXT = "[redacted]";
+
+function pathSegments(path) {
+  const p = String(path || "").trim();
+  const segments = p.startsWith("/")
+    ? p
+        .slice(1)
+        .split("/")
+        .map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"))
+    : p
+        .replace(/^\$\.?/, "")
+        .replace(/\[(\d+|\*)\]/g, ".$1")
+        .split(".");
+  const rest = segments.filter((s) => s !== "");
+  return rest[0] === "inspection" ? rest.slice(1) : rest;
+}
+
+/**
+ * Redact one path in place.
+ * @returns {number} how many values were removed or masked
+ */
+function redactAt(node, segments, mode) {
+  if (!node || typeof node !== "object" || segments.length === 0) return 0;
+  const [head, ...rest] = segments;
+  const keys = head === "*" ? Object.keys(node) : [head];
+  // Array items are spliced back to front so the remaining indices hold
+  if (Array.isArray(node)) keys.reverse();
+  let count = 0;
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(node, key)) continue;
+    if (rest.length > 0) {
+      count += redactAt(node[key], rest, mode);
+      continue;
+    }
+    const value = node[key];
+    // Only text and numbers can be masked; anything else is removed
+    if (mode === "mask" && value !== null && typeof value !== "object") {
+      node[key] = REDACTED_TEXT;
+    } else if (Array.isArray(node)) {
+      node.splice(Number(key), 1);
+    } else {
+      delete node[key];
+    }
+    count++;
+  }
+  return count;
+}
+
+/**
+ * What to redact, or null without options.redact.
+ * @param {true|string[]|{ paths, mode }} redact - true for the defaults; a
+ *   list or { paths } adds paths; mode "remove" (default) or "mask"
+ * @returns {{ paths: string[][], mode }|null}
+ */
+function resolveRedaction(redact) {
+  if (!redact) return null;
+  const extra = Array.isArray(redact) ? redact : redact.paths || [];
+  const mode = redact.mode || "remove";
+  if (!REDACT_MODES.includes(mode)) {
+    const err = new Error(
+      `Unknown redact mode "${mode}". Use one of: ${REDACT_MODES.join(", ")}`
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+  return {
+    paths: [...DEFAULT_REDACTED_PATHS, ...extra]
+      .map(pathSegments)
+      .filter((segments) => segments.length > 0),
+    mode,
+  };
+}
+
+/**
+ * A redacted copy of the inspection; the original is left untouched and
+ * returned as is without options.redact.
+ */
+function redactInspection(inspection, redact) {
+  const redaction = resolveRedaction(redact);
+  if (!redaction || !inspection) return inspection;
+  const copy = structuredClone(inspection);
+  for (const segments of redaction.paths) {
+    redactAt(copy, segments, redaction.mode);
+  }
+  return copy;
+}
+
+module.exports = {
+  DEFAULT_REDACTED_PATHS,
+  REDACT_MODES,
+  redactInspection,
+};
@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+// pdf-lib cannot encrypt; this fork only re-opens the finished bytes to do so
+const { PDFDocument: SecurePDFDocument } = require("@cantoo/pdf-lib");
+const { redactInspection } = require("./report-redaction");
+
+/**
+ * Report security
+ * Reports carry the client's name, email and phone number. options.security
+ * encrypts the finished PDF (AES-256) with a user password, needed to open
+ * it, and an owner password, needed to lift its restrictions on printing,
+ * copying and modifying.
+ *
+ * Without an explicit userPassword it is derived from the client: an HMAC
+ * of their email (or id) under REPORT_PASSWORD_SECRET, so the app that
+ * delivers the report can tell the client their password without storing it.
+ */
+
+const REPORT_PASSWORD_SECRET = process.env.REPORT_PASSWORD_SECRET || null;
+const DERIVED_PASSWORD_LENGTH = 12;
+
+// Restricted unless the request allows it
+const DEFAULT_PERMISSIONS = {
+  printing: false,
+  copying: false,
+  modifying: false,
+  annotating: false,
+  fillingForms: false,
+  documentAssembly: false,
+  contentAccessibility: true, // screen readers keep working
+};
+
+function securityError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+// base64url(HMAC-SHA256(secret, key)), shortened to something typeable
+function derivePassword(secret, key) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(key)
+    .digest("base64url")
+    .slice(0, DERIVED_PASSWORD_LENGTH);
+}
+
+// Lower-cased client email, else the client id (null when neither is set)
+function clientKey(inspection) {
+  const client = inspection?.clientInfo || {};
+  const email = String(client.email || "")
+    .trim()
+    .toLowerCase();
+  return email || String(client.id || "").trim() || null;
+}
+
+/**
+ * Passwords and permissions for one report, or null without
+ * options.security. Throws a 400-tagged error when no user password can be
+ * had, so callers can check up front before rendering.
+ * @param {Object} options - { security: true | { userPassword,
+ *   ownerPassword, permissions: { printing, copying, modifying, ... } } }
+ * @param {Object} [opts] - fillable: the PDF's fields are meant to be filled
+ *   in, so fillingForms is allowed unless the request says otherwise
+ * @returns {{ userPassword, ownerPassword, permissions }|null}
+ */
+function resolveSecurity(
+  options = {},
+  inspection = {},
+  { fillable = false } = {}
+) {
+  if (!options.security) return null;
+  if (options.sign) {
+    throw securityError(
+      "options.security cannot be combined with options.sign: encrypting the signed bytes would invalidate the signature"
+    );
+  }
+  const security = typeof options.security === "object" ? options.security : {};
+  const key = clientKey(inspection);
+
+  // "" is a valid user password: the report opens freely, restrictions hold
+  let userPassword = security.userPassword ?? null;
+  if (userPassword === null) {
+    if (!REPORT_PASSWORD_SECRET || !key) {
+      throw securityError(
+        "options.security needs a userPassword, or REPORT_PASSWORD_SECRET and the client's email or id to derive one"
+      );
+    }
+    userPassword = derivePassword(REPORT_PASSWORD_SECRET, key);
+  }
+  // Nobody can lift the restrictions of a report with a random owner password
+  const ownerPassword =
+    security.ownerPassword ||
+    (REPORT_PASSWORD_SECRET
+      ? derivePassword(
+          REPORT_PASSWORD_SECRET,
+          `owner:${inspection?.id || key || ""}`
+        )
+      : crypto.randomBytes(18).toString("base64url"));
+  if (ownerPassword === userPassword) {
+    throw securityError(
+      "options.security ownerPassword must differ from userPassword"
+    );
+  }
+
+  const permissions = { ...DEFAULT_PERMISSIONS, fillingForms: fillable };
+  for (const [name, value] of Object.entries(security.permissions || {})) {
+    if (name in permissions && typeof value === "boolean") {
+      permissions[name] = value;
+    }
+  }
+  if (permissions.printing) permissions.printing = "highResolution";
+  return { userPassword: String(userPassword), ownerPassword, permissions };
+}
+
+/**
+ * Security and the inspection to render, for reports that take both
+ * options.security and options.redact. Passwords derive from the client's
+ * email, which options.redact may strip, so they are resolved from the
+ * original; everything else renders the redacted copy.
+ * @param {Object} [opts] - passed on to resolveSecurity
+ * @returns {{ security: Object|null, inspection: Object }}
+ */
+function secureAndRedact(options = {}, inspection, opts) {
+  const security = resolveSecurity(options, inspection, opts);
+  return { security, inspection: redactInspection(inspection, options.redact) };
+}
+
+/**
+ * Encrypt finished PDF bytes; returns them untouched without security.
+ * Form fields are flattened first, as createPdf does, so nothing in a
+ * restricted report is left to fill in; keepForms leaves them for documents
+ * meant to be filled in, like the repair request.
+ */
+async function protectPdf(pdfBytes, security, { keepForms = false } = {}) {
+  if (!security) return pdfBytes;
+  const doc = await SecurePDFDocument.load(pdfBytes, {
+    updateMetadata: false,
+  });
+  if (!keepForms) {
+    try {
+      doc.getForm().flatten();
+    } catch {}
+  }
+  doc.encrypt(security);
+  return doc.save();
+}
+
+/**
+ * Load PDF bytes that may be encrypted, e.g. a protected report sent back
+ * filled in. Throws a 400-tagged error when the password is missing or wrong.
+ */
+async function loadProtectedPdf(pdfBytes, password) {
+  try {
+    return await SecurePDFDocument.load(pdfBytes, {
+      updateMetadata: false,
+      ...(password != null ? { password: String(password) } : {}),
+    });
+  } catch (e) {
+    const encrypted = /encrypt|password/i.test(e?.message || "");
+    const err = new Error(
+      encrypted
+        ? `The PDF is encrypted: ${
+            password != null ? "wrong password" : "pass its password"
+          }`
+        : `Not a readable PDF: ${e?.message || e}`
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+module.exports = {
+  derivePassword,
+  resolveSecurity,
+  secureAndRedact,
+  protectPdf,
+  loadProtectedPdf,
+};
@@ -0,0 +1,217 @@
+const fs = require("fs");
+const { rgb, breakTextIntoLines } = require("pdf-lib");
+const { pdflibAddPlaceholder } = require("@signpdf/placeholder-pdf-lib");
+const { P12Signer } = require("@signpdf/signer-p12");
+const signpdf = require("@signpdf/signpdf").default;
+const { safeText } = require("./report-fonts");
+const { imageSource, embedImageSource } = require("./account-branding");
+const {
+  formatDate,
+  addPage,
+  ensureSpace,
+  contentWidth,
+} = require("./report-layout");
+
+/**
+ * Inspector signature
+ * options.signature adds a signature block after the last section: the
+ * inspector's name, license number, the date and an optional image of their
+ * signature. options.sign applies a cryptographic signature (PKCS#7
+ * detached) to the saved bytes with the PKCS#12 file configured on this
+ * server, so a client's PDF reader can show whether the report was altered
+ * after it was issued. Request bodies cannot name certificate files.
+ */
+
+const SIGNING_P12_PATH = process.env.SIGNING_P12_PATH || null;
+const SIGNING_P12_PASSPHRASE = process.env.SIGNING_P12_PASSPHRASE || "";
+
+const BLACK = rgb(0, 0, 0);
+const CAPTION_GRAY = rgb(0.4, 0.4, 0.4);
+const SIGNATURE_HEIGHT = 50; // room for the signature image above its line
+const CAPTION_SIZE = 8;
+
+/**
+ * What the signature block shows, or null without options.signature.
+ * @param {Object} options - { signature: true | { name, license, date,
+ *   image, statement, newPage } }
+ * @param {Object} branding - from resolveBranding (license fallback)
+ */
+function resolveSignature(options = {}, inspection = {}, branding = null) {
+  if (!options.signature) return null;
+  const sig = typeof options.signature === "object" ? options.signature : {};
+  return {
+    name: sig.name || inspection?.inspector?.name || "",
+    license:
+      sig.license ||
+      inspection?.inspector?.license ||
+      branding?.licenses.inspector ||
+      "",
+    // Epoch ms are formatted like the other report dates; text is kept
+    date:
+      typeof sig.date === "number"
+        ? formatDate(sig.date)
+        : sig.date || formatDate(Date.now()),
+    image: imageSource(sig.image, false),
+    statement: sig.statement || null,
+    newPage: sig.newPage === true,
+  };
+}
+
+/**
+ * Draw the signature block at the layout's cursor, kept together on one
+ * page (or on a page of its own with signature.newPage).
+ * @returns {Promise<{ page, y }>} where the block starts, for the outline
+ */
+async function renderSignatureBlock(layout, signature) {
+  const { profile, fonts } = layout;
+  const size = profile.text.size;
+  const lineHeight = profile.text.lineHeight;
+  const x = profile.contentX;
+  const width = contentWidth(layout);
+  const statementLines = signature.statement
+    ? breakTextIntoLines(
+        safeText(fonts.regular, signature.statement),
+        [" "],
+        width,
+        (t) => fonts.regular.widthOfTextAtSize(t, size)
+      )
+    : [];
+  const height =
+    size + 12 + statementLines.length * lineHeight + SIGNATURE_HEIGHT + 50;
+
+  if (signature.newPage) {
+    addPage(layout);
+  } else {
+    layout.y -= profile.sectionGap;
+    ensureSpace(layout, height);
+  }
+  const page = layout.page;
+  const top = layout.y;
+
+  page.drawText("Inspector Signature", {
+    x,
+    y: layout.y,
+    size: size + 2,
+    font: fonts.bold,
+    color: BLACK,
+  });
+  layout.y -= size + 12;
+  for (const line of statementLines) {
+    page.drawText(line, { x, y: layout.y, size, font: fonts.regular });
+    layout.y -= lineHeight;
+  }
+
+  // Signature line with the image sitting on it, the date line beside it
+  const lineY = layout.y - SIGNATURE_HEIGHT;
+  const signatureWidth = Math.min(220, width * 0.55);
+  const dateX = x + signatureWidth + 30;
+  const dateWidth = Math.min(140, x + width - dateX);
+  const image = await embedImageSource(
+    layout.doc,
+    signature.image,
+    "Signature image"
+  );
+  if (image) {
+    const scaled = image.scaleToFit(signatureWidth, SIGNATURE_HEIGHT - 4);
+    page.drawImage(image, {
+      x,
+      y: lineY + 2,
+      width: scaled.width,
+      height: scaled.height,
+    });
+  }
+  page.drawText(safeText(fonts.regular, signature.date), {
+    x: dateX,
+    y: lineY + 4,
+    size,
+    font: fonts.regular,
+  });
+  for (const [startX, lineWidth, caption] of [
+    [x, signatureWidth, "Signature"],
+    [dateX, dateWidth, "Date"],
+  ]) {
+    page.drawLine({
+      start: { x: startX, y: lineY },
+      end: { x: startX + lineWidth, y: lineY },
+      thickness: 0.75,
+      color: BLACK,
+    });
+    page.drawText(caption, {
+      x: startX,
+      y: lineY - 10,
+      size: CAPTION_SIZE,
+      font: fonts.regular,
+      color: CAPTION_GRAY,
+    });
+  }
+  layout.y = lineY - 10 - lineHeight - 6;
+
+  // Name and license below, labelled like the form's header page
+  const licenseLabel =
+    profile.name === "trec"
+      ? layout.formTemplate.header.fields.inspectorLicense
+      : "License #";
+  for (const [label, value] of [
+    ["Inspector:", signature.name],
+    [`${licenseLabel}:`, signature.license],
+  ]) {
+    if (!value) continue;
+    const labelWidth = fonts.bold.widthOfTextAtSize(label, size);
+    page.drawText(label, { x, y: layout.y, size, font: fonts.bold });
+    page.drawText(safeText(fonts.regular, String(value)), {
+      x: x + labelWidth + 4,
+      y: layout.y,
+      size,
+      font: fonts.regular,
+    });
+    layout.y -= lineHeight;
+  }
+  return { page, y: top + size + 2 };
+}
+
+// options.sign needs a certificate on this server; checked before rendering
+function assertSignable(options = {}) {
+  if (!options.sign) return;
+  if (!SIGNING_P12_PATH || !fs.existsSync(SIGNING_P12_PATH)) {
+    const err = new Error(
+      "Digital signing is not configured on this server (SIGNING_P12_PATH)"
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+/**
+ * Save pdfDoc, signing the bytes when options.sign is set. Call once the
+ * document is final: anything changed after signing breaks the signature.
+ * @param {Object} options - { sign: true | { reason, location, contactInfo,
+ *   name } }
+ * @param {Object} defaults - { name } of the signer when sign has none
+ * @returns {Promise<Uint8Array|Buffer>}
+ */
+async function saveReport(pdfDoc, options = {}, defaults = {}) {
+  if (!options.sign) return pdfDoc.save();
+  assertSignable(options);
+  const sign = typeof options.sign === "object" ? options.sign : {};
+  pdflibAddPlaceholder({
+    pdfDoc,
+    reason: sign.reason || "Property inspection report",
+    contactInfo: sign.contactInfo || "",
+    name: sign.name || defaults.name || "",
+    location: sign.location || "",
+  });
+  // The signer finds the placeholder by scanning the saved bytes, which
+  // object streams would compress
+  const unsigned = await pdfDoc.save({ useObjectStreams: false });
+  const signer = new P12Signer(fs.readFileSync(SIGNING_P12_PATH), {
+    passphrase: SIGNING_P12_PASSPHRASE,
+  });
+  return signpdf.sign(Buffer.from(unsigned), signer);
+}
+
+module.exports = {
+  resolveSignature,
+  renderSignatureBlock,
+  assertSignable,
+  saveReport,
+};
@@ -0,0 +1,92 @@
+const { replacedCharacters } = require("./report-fonts");
+
+/**
+ * Report warnings
+ * What a renderer worked around instead of failing: a photo that could not
+ * be loaded, header pages that could not be built, characters the font
+ * cannot draw, captions cut short, empty comments left out. Each warning is
+ * { code, message, ...details }; renderers collect them while rendering and
+ * return them with the PDF, so callers can tell a complete report from one
+ * with holes. With options.strict any warning fails the request instead
+ * (422, warnings in the error response).
+ */
+
+// JSON in a response header; most servers and proxies cap headers at 8 KB
+const WARNINGS_HEADER_MAX = 4000;
+
+/**
+ * @returns {{ list: Object[], add: (code, message, details?) => void }}
+ *   where repeats of the same warning are dropped
+ */
+function createWarnings() {
+  const list = [];
+  const seen = new Set();
+  return {
+    list,
+    add(code, message, details = {}) {
+      const key = JSON.stringify([code, message, details]);
+      if (seen.has(key)) return;
+      seen.add(key);
+      list.push({ code, message, ...details });
+    },
+  };
+}
+
+/**
+ * Close the collection once the document is rendered: adds what the fonts
+ * had to replace, then enforces options.strict.
+ * @returns {Object[]} the warnings
+ */
+function finishWarnings(warnings, pdfDoc, options = {}) {
+  const characters = replacedCharacters(pdfDoc);
+  if (characters.length > 0) {
+    const shown = characters
+      .map(({ char, replacement }) =>
+        replacement ? `"${char}" -> "${replacement}"` : `"${char}" dropped`
+      )
+      .join(", ");
+    warnings.add(
+      "characters-replaced",
+      `The font cannot draw some characters: ${shown}`,
+      { characters }
+    );
+  }
+  if (options.strict && warnings.list.length > 0) {
+    const err = new Error(
+      `options.strict: ${warnings.list.length} warning(s) while rendering, first: ${warnings.list[0].message}`
+    );
+    err.statusCode = 422;
+    err.warnings = warnings.list;
+    throw err;
+  }
+  return warnings.list;
+}
+
+/**
+ * Put warnings on a streamed PDF response: X-Report-Warning-Count, and
+ * X-Report-Warnings with as many as fit as a JSON array (ASCII only).
+ */
+function setWarningHeaders(res, warnings = []) {
+  res.setHeader("X-Report-Warning-Count", warnings.length);
+  if (warnings.length === 0) return;
+  const encode = (list) =>
+    JSON.stringify(list).replace(
+      /[\u007f-\uffff]/g,
+      (ch) => `\\u${ch.charCodeAt(0).toString(16).padStart(4, "0")}`
+    );
+  let shown = warnings.length;
+  let value = encode(warnings);
+  while (value.length > WARNINGS_HEADER_MAX && shown > 1) {
+    shown = Math.ceil(shown / 2);
+    value = encode(warnings.slice(0, shown));
+  }
+  if (value.length <= WARNINGS_HEADER_MAX) {
+    res.setHeader("X-Report-Warnings", value);
+  }
+}
+
+module.exports = {
+  createWarnings,
+  finishWarnings,
+  setWarningHeaders,
+};
@@ -5,6 +5,22 @@ const {
   generateTableOfContentsHandler,
 } = require("./create-table-of-contents");
 const { generateCompleteReportHandler } = require("./generate-complete-report");
+const { generateComparisonHandler } = require("./generate-comparison-report");
+const { generateInvoiceHandler } = require("./generate-invoice");
+const { generateRepairRequestHandler } = require("./generate-repair-request");
+const { importEditsHandler } = require("./import-edits");
+const {
+  createJobHandler,
+  getJobStatusHandler,
+  getJobPdfHandler,
+  cancelJobHandler,
+} = require("./report-jobs");
+const {
+  validateInspectionMiddleware,
+  validateComparisonMiddleware,
+  validateHandler,
+} = require("./validate-inspection");
+const { IMAGE_ALLOWED_HOSTS } = require("./image-fetch");
 
 const app = express();
 
@@ -14,15 +30,62 @@ app.use(express.json({ limit: "10mb" }));
 app.get("/", (req, res) => res.send("Hello World!"));
 
 // POST route for PDF generation
-app.post("/genPdf", (req, res) => generatePdf(req, res));
+app.post("/genPdf", validateInspectionMiddleware, (req, res) =>
+  generatePdf(req, res)
+);
 
 // POST route for Table of Contents generation
-app.post("/genTOC", (req, res) => generateTableOfContentsHandler(req, res));
+app.post("/genTOC", validateInspectionMiddleware, (req, res) =>
+  generateTableOfContentsHandler(req, res)
+);
 
 // POST route for Complete Report generation
-app.post("/genCompleteReport", (req, res) =>
+app.post("/genCompleteReport", validateInspectionMiddleware, (req, res) =>
   generateCompleteReportHandler(req, res)
 );
 
+// POST route for the re-inspection comparison (original vs follow-up)
+app.post("/genComparison", validateComparisonMiddleware, (req, res) =>
+  generateComparisonHandler(req, res)
+);
+
+// POST route for a standalone invoice from bookingFormData
+app.post("/genInvoice", validateInspectionMiddleware, (req, res) =>
+  generateInvoiceHandler(req, res)
+);
+
+// POST route for a fillable repair request from selected deficiencies
+app.post("/genRepairRequest", validateInspectionMiddleware, (req, res) =>
+  generateRepairRequestHandler(req, res)
+);
+
+// POST route that reads a filled-in editable report back as a JSON patch
+app.post("/importEdits", validateInspectionMiddleware, (req, res) =>
+  importEditsHandler(req, res)
+);
+
+// POST route that only validates the inspection payload
+app.post("/validate", (req, res) => validateHandler(req, res));
+
+// Background report jobs: submit, poll status, download, cancel
+app.post("/jobs", validateInspectionMiddleware, (req, res) =>
+  createJobHandler(req, res)
+);
+app.get("/jobs/:id", (req, res) => getJobStatusHandler(req, res));
+app.get("/jobs/:id/pdf", (req, res) => getJobPdfHandler(req, res));
+app.delete("/jobs/:id", (req, res) => cancelJobHandler(req, res));
+
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server listening on ${PORT}`);
+  // Image URLs come from request bodies; say where they may point
+  if (IMAGE_ALLOWED_HOSTS.includes("*")) {
+    console.warn(
+      "IMAGE_ALLOWED_HOSTS=*: images are downloaded from any public host"
+    );
+  } else {
+    console.log(
+      `Images downloaded from: ${IMAGE_ALLOWED_HOSTS.join(", ") || "(none)"}`
+    );
+  }
+});
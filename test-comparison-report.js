@@ -0,0 +1,98 @@
+/**
+ * Test script for comparison reports (compareInspections)
+ *
+ * Compares two small inspections and checks the statuses and line item
+ * numbers the comparison report would print:
+ * - a defect comment dropped from a line item the follow-up still flags
+ *   deficient is Still Present, not Resolved
+ * - an original line item missing from the follow-up keeps its own number
+ *
+ * Usage:
+ *   node test-comparison-report.js
+ */
+
+const { STATUS, compareInspections } = require("./generate-comparison-report");
+
+const defect = (id) => ({ id, label: `Defect ${id}`, type: "defect" });
+
+const original = {
+  sections: [
+    {
+      id: "roof",
+      name: "Roof",
+      lineItems: [
+        { id: "flashing", name: "Flashing", comments: [defect("f1")] },
+      ],
+    },
+    {
+      id: "plumbing",
+      name: "Plumbing",
+      lineItems: [
+        { id: "heater", name: "Water Heater", comments: [] },
+        { id: "drains", name: "Drains", comments: [defect("d1")] },
+        { id: "supply", name: "Supply Lines", comments: [] },
+      ],
+    },
+  ],
+};
+
+const followUp = {
+  sections: [
+    {
+      id: "roof",
+      name: "Roof",
+      // Flagged deficient, but the defect comment is gone
+      lineItems: [
+        { id: "flashing", name: "Flashing", isDeficient: true, comments: [] },
+      ],
+    },
+    {
+      id: "plumbing",
+      name: "Plumbing",
+      // Drains left out of the follow-up
+      lineItems: [
+        { id: "supply", name: "Supply Lines", comments: [] },
+        { id: "heater", name: "Water Heater", comments: [] },
+      ],
+    },
+  ],
+};
+
+function entriesOf(comparison, sectionId) {
+  const found = comparison.sections.find((s) => s.section.id === sectionId);
+  return found ? found.entries : [];
+}
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+  console.log(`   ✓ ${message}`);
+}
+
+function testComparisonReport() {
+  try {
+    const comparison = compareInspections(original, followUp);
+
+    const roof = entriesOf(comparison, "roof");
+    check(
+      roof.length === 1 && roof[0].status === STATUS.stillPresent,
+      "a line item still flagged deficient is Still Present"
+    );
+
+    const plumbing = entriesOf(comparison, "plumbing");
+    check(
+      plumbing.length === 1 &&
+        plumbing[0].lineItem.id === "drains" &&
+        plumbing[0].lineItemIndex === 1,
+      "a line item missing from the follow-up keeps its original index"
+    );
+
+    console.log("✅ Test completed successfully!");
+  } catch (error) {
+    console.error("\n❌ Test failed:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the test
+testComparisonReport();
@@ -0,0 +1,51 @@
+/**
+ * Test script for editable reports (options.editable)
+ *
+ * Renders inspection.json as an editable /genPdf report with notes the
+ * standard fonts cannot fully encode, then reads it back with importEdits:
+ * the report must render and an untouched report must give an empty patch.
+ *
+ * Usage:
+ *   node test-editable-report.js
+ *   REPORT_FONT_FAMILY=dejavu-serif node test-editable-report.js
+ */
+
+const { buildTrecReport } = require("./generatePdf");
+const { importEdits } = require("./import-edits");
+const path = require("path");
+const fs = require("fs");
+
+const NOTES = "Medición 20°C — ok ✓ 水";
+
+async function testEditableReport() {
+  const inputFile = path.join(__dirname, "inspection.json");
+  const inspection = JSON.parse(fs.readFileSync(inputFile, "utf-8")).inspection;
+  const lineItem = inspection.sections[0].lineItems[0];
+  lineItem.notes = NOTES;
+
+  try {
+    const result = await buildTrecReport(inspection, {
+      editable: true,
+      includeImages: false,
+    });
+    console.log(`📄 Rendered ${result.pageCount} pages`);
+    for (const warning of result.warnings) {
+      console.log(`   ⚠️  ${warning.code}: ${warning.message}`);
+    }
+
+    const { patch } = await importEdits(inspection, result.pdfBytes);
+    if (patch.length > 0) {
+      throw new Error(
+        `Untouched report gave a patch: ${JSON.stringify(patch)}`
+      );
+    }
+    console.log("✅ Test completed successfully!");
+  } catch (error) {
+    console.error("\n❌ Test failed:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the test
+testEditableReport();
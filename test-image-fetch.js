@@ -0,0 +1,206 @@
+/**
+ * Test script for the image fetcher (createImageFetcher)
+ *
+ * Starts a local HTTP stub server and checks the fetcher against it: the
+ * global and per-host request limits, retries with backoff on 5xx answers
+ * and timeouts, redirects up to maxRedirects, bodies over maxBytes and the
+ * reason given for each failed URL.
+ *
+ * Usage:
+ *   node test-image-fetch.js
+ */
+
+const http = require("http");
+const { createImageFetcher } = require("./image-fetch");
+
+const BODY = Buffer.from("stub image bytes");
+
+// Requests in flight, overall and per Host header, and the most seen at once
+const inFlight = { total: 0, hosts: {}, maxTotal: 0, maxHost: {} };
+const hits = {}; // path -> requests received
+
+function track(req, res) {
+  const host = req.headers.host;
+  inFlight.total++;
+  inFlight.hosts[host] = (inFlight.hosts[host] || 0) + 1;
+  inFlight.maxTotal = Math.max(inFlight.maxTotal, inFlight.total);
+  inFlight.maxHost[host] = Math.max(
+    inFlight.maxHost[host] || 0,
+    inFlight.hosts[host]
+  );
+  res.on("close", () => {
+    inFlight.total--;
+    inFlight.hosts[host]--;
+  });
+}
+
+function resetTracking() {
+  Object.assign(inFlight, { total: 0, hosts: {}, maxTotal: 0, maxHost: {} });
+}
+
+// /slow, /flaky/<n> (5xx n times, then 200), /error, /hang-once, /hang,
+// /redirect/<n> (n redirects, then /ok), /big, /big-stream, /ok; else 404
+function handle(req, res) {
+  track(req, res);
+  const path = req.url;
+  hits[path] = (hits[path] || 0) + 1;
+  const ok = () => res.end(BODY);
+  let match;
+  if (path.startsWith("/slow")) {
+    setTimeout(ok, 100);
+  } else if ((match = /^\/flaky\/(\d+)/.exec(path))) {
+    if (hits[path] <= Number(match[1])) {
+      res.statusCode = 503;
+      res.end();
+    } else ok();
+  } else if (path === "/error") {
+    res.statusCode = 500;
+    res.end();
+  } else if (path === "/hang-once") {
+    if (hits[path] > 1) ok(); // the first request is never answered
+  } else if (path === "/hang") {
+    // never answered
+  } else if ((match = /^\/redirect\/(\d+)$/.exec(path))) {
+    const left = Number(match[1]);
+    res.statusCode = 302;
+    res.setHeader("Location", left > 1 ? `/redirect/${left - 1}` : "/ok");
+    res.end();
+  } else if (path === "/big") {
+    res.setHeader("Content-Length", 4096);
+    res.end(Buffer.alloc(4096));
+  } else if (path === "/big-stream") {
+    // No Content-Length, so the limit is hit while reading
+    res.write(Buffer.alloc(2048));
+    setTimeout(() => res.end(Buffer.alloc(2048)), 20);
+  } else if (path === "/ok") {
+    ok();
+  } else {
+    res.statusCode = 404;
+    res.end();
+  }
+}
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+  console.log(`   ✓ ${message}`);
+}
+
+async function testImageFetch() {
+  const server = http.createServer(handle);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  const base = `http://127.0.0.1:${port}`;
+  const otherHost = `http://localhost:${port}`;
+
+  const fetchImage = createImageFetcher({
+    concurrency: 3,
+    hostConcurrency: 2,
+    retries: 2,
+    backoffMs: 50,
+    timeoutMs: 300,
+    maxBytes: 1024,
+    maxRedirects: 3,
+    allowedHosts: ["127.0.0.1", "localhost"],
+    allowPrivate: true,
+  });
+
+  try {
+    console.log("🔢 Limits");
+    await Promise.all(
+      Array.from({ length: 6 }, (_, i) => fetchImage(`${base}/slow/${i}`))
+    );
+    check(
+      inFlight.maxHost[`127.0.0.1:${port}`] === 2,
+      "at most hostConcurrency requests to one host"
+    );
+    resetTracking();
+    await Promise.all(
+      Array.from({ length: 8 }, (_, i) =>
+        fetchImage(`${i % 2 ? base : otherHost}/slow/${i}`)
+      )
+    );
+    check(inFlight.maxTotal === 3, "at most concurrency requests overall");
+
+    console.log("🔁 Retries");
+    let res = await fetchImage(`${base}/flaky/2`);
+    check(
+      res.reason === null && res.body.equals(BODY) && res.attempts === 3,
+      "5xx answers are retried until one succeeds"
+    );
+    const started = Date.now();
+    res = await fetchImage(`${base}/error`);
+    check(
+      res.reason === "http 500" && res.attempts === 3,
+      "a 5xx after every retry fails with its status"
+    );
+    // Waits of backoffMs, then twice that
+    check(Date.now() - started >= 150, "retries back off exponentially");
+    res = await fetchImage(`${base}/hang-once`);
+    check(res.reason === null && res.attempts === 2, "a timeout is retried");
+    res = await fetchImage(`${base}/hang`);
+    check(
+      res.reason === "timeout" && res.attempts === 3,
+      "a timeout on every try fails with reason timeout"
+    );
+    res = await fetchImage(`${base}/missing`);
+    check(
+      res.reason === "http 404" && res.attempts === 1,
+      "a 404 fails without a retry"
+    );
+
+    console.log("↪️  Redirects");
+    res = await fetchImage(`${base}/redirect/3`);
+    check(
+      res.reason === null && res.url === `${base}/ok` && res.attempts === 4,
+      "up to maxRedirects redirects are followed"
+    );
+    res = await fetchImage(`${base}/redirect/4`);
+    check(
+      res.reason === "too many redirects",
+      "more than maxRedirects redirects fail"
+    );
+
+    console.log("📦 Size limit");
+    res = await fetchImage(`${base}/big`);
+    check(
+      res.reason === "larger than 1024 bytes" && res.body === null,
+      "a Content-Length over maxBytes is refused"
+    );
+    res = await fetchImage(`${base}/big-stream`);
+    check(
+      res.reason === "larger than 1024 bytes" && res.body === null,
+      "a body growing past maxBytes is cut off"
+    );
+
+    console.log("🚫 Refused URLs");
+    res = await fetchImage("not a url");
+    check(res.reason === "invalid URL", "an invalid URL says so");
+    res = await fetchImage(`ftp://127.0.0.1:${port}/ok`);
+    check(
+      res.reason === "unsupported protocol ftp:",
+      "a non-HTTP URL names its protocol"
+    );
+    res = await fetchImage(`http://example.com/ok`);
+    check(
+      res.reason === "host example.com is not in IMAGE_ALLOWED_HOSTS",
+      "a host outside allowedHosts is refused"
+    );
+    res = await createImageFetcher({ allowedHosts: ["*"] })(`${base}/ok`);
+    check(
+      res.reason === "blocked address 127.0.0.1" && res.attempts === 0,
+      "a private address is refused without allowPrivate"
+    );
+
+    console.log("✅ Test completed successfully!");
+  } catch (error) {
+    console.error("\n❌ Test failed:", error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+// Run the test
+testImageFetch();
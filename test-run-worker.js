@@ -35,7 +35,9 @@ const fs = require('fs');
   }
 
   const workerFile = path.join(__dirname, 'worker.js');
-  const w = new Worker(workerFile, { workerData: targetSection });
+  // The inspection's status decides whether the section is stamped DRAFT
+  const options = { status: data.inspection.status, finalize: data.options?.finalize };
+  const w = new Worker(workerFile, { workerData: { section: targetSection, options } });
 
   w.on('message', (msg) => {
     console.log('Worker message:', Object.keys(msg));
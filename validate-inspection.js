@@ -0,0 +1,281 @@
+const Ajv = require("ajv");
+const { EMPTY_ITEM_POLICIES } = require("./empty-line-items");
+const { REDACT_MODES } = require("./report-redaction");
+
+/**
+ * Inspection payload validation
+ * JSON Schema for the `{ inspection: { ... } }` body shape (see inspection.json).
+ * Only the fields the renderers actually read are constrained; everything else
+ * the inspection app sends is allowed through untouched.
+ */
+
+const nullableString = { type: ["string", "null"] };
+const hexColor = { type: ["string", "null"], pattern: "^#?[0-9a-fA-F]{6}$" };
+const stringList = { type: ["array", "null"], items: { type: "string" } };
+
+const mediaSchema = {
+  type: "object",
+  required: ["url"],
+  properties: {
+    id: nullableString,
+    url: { type: "string", minLength: 1 },
+    caption: nullableString,
+    description: nullableString,
+    timestamp: { type: ["number", "null"] },
+  },
+};
+
+const commentSchema = {
+  type: "object",
+  properties: {
+    id: nullableString,
+    label: nullableString,
+    text: nullableString,
+    content: nullableString,
+    commentText: nullableString,
+    value: { type: ["string", "number", "boolean", "null"] },
+    type: nullableString,
+    inputType: nullableString,
+    options: stringList,
+    selectedOptions: stringList,
+    recommendation: nullableString,
+    location: nullableString,
+    tag: nullableString,
+    commentNumber: { type: ["string", "number", "null"] },
+    required: { type: ["boolean", "null"] },
+    isSelected: { type: ["boolean", "null"] },
+    photos: { type: ["array", "null"], items: mediaSchema },
+    videos: { type: ["array", "null"], items: mediaSchema },
+  },
+};
+
+const lineItemSchema = {
+  type: "object",
+  properties: {
+    id: { type: ["string", "number"] },
+    name: nullableString,
+    title: nullableString,
+    order: { type: ["number", "null"] },
+    inspectionStatus: { enum: ["I", "NI", "NP", "D", null] },
+    isDeficient: { type: ["boolean", "null"] },
+    selectedOptions: stringList,
+    notes: nullableString,
+    comments: { type: ["array", "null"], items: commentSchema },
+  },
+  anyOf: [{ required: ["name"] }, { required: ["title"] }],
+};
+
+const sectionSchema = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    id: nullableString,
+    name: { type: "string" },
+    order: { type: ["number", "null"] },
+    sectionNumber: { type: ["string", "number", "null"] },
+    lineItems: { type: ["array", "null"], items: lineItemSchema },
+  },
+};
+
+const inspectionSchema = {
+  $id: "inspection-payload",
+  type: "object",
+  required: ["inspection"],
+  properties: {
+    inspection: {
+      type: "object",
+      required: ["sections"],
+      properties: {
+        id: nullableString,
+        status: nullableString,
+        headerImageUrl: nullableString,
+        address: {
+          type: ["object", "null"],
+          properties: {
+            fullAddress: nullableString,
+            street: nullableString,
+            city: nullableString,
+            state: nullableString,
+            zipcode: { type: ["string", "number", "null"] },
+          },
+        },
+        schedule: {
+          type: ["object", "null"],
+          properties: { date: { type: ["number", "string", "null"] } },
+        },
+        clientInfo: { type: ["object", "null"] },
+        inspector: { type: ["object", "null"] },
+        agents: { type: ["array", "null"], items: { type: "object" } },
+        sections: { type: "array", items: sectionSchema },
+      },
+    },
+    options: {
+      type: ["object", "null"],
+      properties: {
+        emptyItemPolicy: { enum: [...EMPTY_ITEM_POLICIES, null] },
+        // Checked against the template registry when the report is built
+        formTemplate: nullableString,
+        accountId: { type: ["string", "number", "null"] },
+        finalize: { type: ["boolean", "null"] },
+        includeInvoice: { type: ["boolean", "null"] },
+        editable: { type: ["boolean", "null"] },
+        strict: { type: ["boolean", "null"] },
+        signature: {
+          type: ["boolean", "object", "null"],
+          properties: {
+            name: nullableString,
+            license: nullableString,
+            date: { type: ["number", "string", "null"] },
+            image: { type: ["string", "object", "null"] },
+            statement: nullableString,
+            newPage: { type: ["boolean", "null"] },
+          },
+        },
+        redact: {
+          type: ["boolean", "array", "object", "null"],
+          items: { type: "string" },
+          properties: {
+            paths: stringList,
+            mode: { enum: [...REDACT_MODES, null] },
+          },
+        },
+        security: {
+          type: ["boolean", "object", "null"],
+          properties: {
+            userPassword: nullableString,
+            ownerPassword: nullableString,
+            permissions: {
+              type: ["object", "null"],
+              additionalProperties: { type: "boolean" },
+            },
+          },
+        },
+        sign: {
+          type: ["boolean", "object", "null"],
+          properties: {
+            reason: nullableString,
+            location: nullableString,
+            contactInfo: nullableString,
+            name: nullableString,
+          },
+        },
+        branding: {
+          type: ["object", "null"],
+          properties: {
+            companyName: nullableString,
+            logo: { type: ["string", "object", "null"] },
+            colors: {
+              type: ["object", "null"],
+              properties: {
+                primary: hexColor,
+                accent: hexColor,
+                tags: {
+                  type: ["object", "null"],
+                  additionalProperties: hexColor,
+                },
+              },
+            },
+            licenses: {
+              type: ["object", "null"],
+              properties: {
+                company: nullableString,
+                inspector: nullableString,
+              },
+            },
+            contact: { type: ["string", "array", "object", "null"] },
+            disclaimer: nullableString,
+          },
+        },
+      },
+    },
+    // POST /genRepairRequest: the comments the buyer wants repaired
+    commentIds: stringList,
+    // POST /importEdits: the filled-in editable report, base64
+    pdf: nullableString,
+    password: nullableString,
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validate = ajv.compile(inspectionSchema);
+
+// Turn an Ajv error into { path, message } with a JSON pointer to the bad value
+function formatError(err) {
+  let path = err.instancePath;
+  let message = err.message;
+  if (err.keyword === "required") {
+    path += `/${err.params.missingProperty}`;
+    message = "is required";
+  } else if (err.keyword === "enum") {
+    const allowed = err.params.allowedValues.filter((v) => v !== null);
+    message = `must be one of ${allowed.join(", ")}`;
+  } else if (
+    err.keyword === "anyOf" &&
+    err.schemaPath.endsWith("lineItems/items/anyOf")
+  ) {
+    message = "must have a name or title";
+  }
+  return { path: path || "/", message };
+}
+
+function validateInspection(body) {
+  if (validate(body)) return { valid: true, errors: [] };
+  const errors = [];
+  const seen = new Set();
+  for (const err of validate.errors) {
+    // anyOf reports each failing branch too; the summary error is enough
+    if (err.schemaPath.includes("/anyOf/")) continue;
+    const formatted = formatError(err);
+    const key = `${formatted.path} ${formatted.message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    errors.push(formatted);
+  }
+  return { valid: false, errors };
+}
+
+// Express middleware: reject malformed payloads before they reach layout code
+function validateInspectionMiddleware(req, res, next) {
+  const { valid, errors } = validateInspection(req.body);
+  if (valid) return next();
+  res.status(400).json({
+    ok: false,
+    error: "Invalid inspection payload",
+    errors: errors.map((e) => ({ ...e, text: `${e.path} ${e.message}` })),
+  });
+}
+
+// Same for /genComparison, whose body carries two payloads:
+// { original: { inspection }, followUp: { inspection } }
+function validateComparisonMiddleware(req, res, next) {
+  const errors = [];
+  for (const key of ["original", "followUp"]) {
+    const result = validateInspection(req.body?.[key]);
+    for (const e of result.errors) {
+      errors.push({ ...e, path: `/${key}${e.path === "/" ? "" : e.path}` });
+    }
+  }
+  if (errors.length === 0) return next();
+  res.status(400).json({
+    ok: false,
+    error: "Invalid comparison payload",
+    errors: errors.map((e) => ({ ...e, text: `${e.path} ${e.message}` })),
+  });
+}
+
+// POST /validate: run validation only
+function validateHandler(req, res) {
+  const { valid, errors } = validateInspection(req.body);
+  res.status(valid ? 200 : 400).json({
+    ok: valid,
+    errors: errors.map((e) => ({ ...e, text: `${e.path} ${e.message}` })),
+  });
+}
+
+module.exports = {
+  inspectionSchema,
+  validateInspection,
+  validateInspectionMiddleware,
+  validateComparisonMiddleware,
+  validateHandler,
+};